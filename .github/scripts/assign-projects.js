@@ -4,13 +4,12 @@
  * File Created: Thursday, 26th December 2024 3:10:59 pm
  * Author: Josh5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Monday, 13th October 2025 3:06:45 pm
+ * Last Modified: Monday, 19th October 2026 2:18:16 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
-import { graphql } from "@octokit/graphql";
-import { extractHeadingValue } from "./common.js";
+import { getSectionContent, parseReportBody } from "./common.js";
+import { createGraphql, createOctokit } from "./github-client.js";
 import dotenv from "dotenv";
 
 dotenv.config(); // Load environment variables from .env for local testing
@@ -21,16 +20,10 @@ const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const STEAMGRIDDB_API_KEY = process.env.STEAMGRIDDB_API_KEY;
 
 // Initialize Octokit with the provided GITHUB_TOKEN
-const octokit = new Octokit({
-  auth: GITHUB_TOKEN,
-});
+const octokit = createOctokit(GITHUB_TOKEN);
 
 // Initialize Octokit GraphQL with the same token
-const graphqlWithAuth = graphql.defaults({
-  headers: {
-    authorization: `token ${GITHUB_TOKEN}`,
-  },
-});
+const graphqlWithAuth = createGraphql(GITHUB_TOKEN);
 
 /**
  * Checks if a URL points to a valid image by performing a HEAD request.
@@ -606,12 +599,11 @@ async function run() {
     repo,
     issue_number: issueNumber,
   });
-  const body = issue.body || "";
-  const lines = body.split(/\r?\n/);
+  const report = parseReportBody(issue.body || "");
 
   // Parse "Game Name" and "App ID"
-  const gameName = extractHeadingValue(lines, "Game Name");
-  const appIdRaw = extractHeadingValue(lines, "App ID");
+  const gameName = getSectionContent(report, "Game Name");
+  const appIdRaw = getSectionContent(report, "App ID");
 
   let appIdNum = Number(appIdRaw);
   if (!appIdRaw || Number.isNaN(appIdNum)) {
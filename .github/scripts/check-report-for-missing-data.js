@@ -4,24 +4,65 @@
  * File Created: Thursday, 26th December 2024 10:12:11 pm
  * Author: Josh5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Monday, 5th January 2026 9:28:34 am
+ * Last Modified: Monday, 19th October 2026 3:59:34 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
 import Ajv from "ajv/dist/2020.js";
 import addFormats from "ajv-formats";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
-import { buildReportData } from "./common.js";
+import * as core from "@actions/core";
+import { createOctokit } from "./github-client.js";
+import {
+  buildReportData,
+  formatValueChanges,
+  GAME_SETTINGS_SECTIONS,
+  getSectionContent,
+  isNoResponse,
+  parseGameSettingsSection,
+  parseReportBody,
+  repairGameSettingsSection,
+  resolveEnumValue,
+  serializeReportBody,
+  setSectionContent,
+  suggestClosestValue,
+} from "./common.js";
+import {
+  estimateBatteryLife,
+  findHardwareDevice,
+  parseResolution,
+} from "./hardware.js";
+import { normaliseVersionFields, validateVersionFields } from "./versions.js";
+import { lintLaunchOptions, parseLaunchOptions } from "./launch-options.js";
+import {
+  findSteamAppsByName,
+  formatSteamApps,
+  validateSteamAppId,
+} from "./steam-apps.js";
+import {
+  DEFAULT_LANGUAGE,
+  formatMessage,
+  getMessageVariants,
+  getReportLanguage,
+} from "./messages.js";
+import { computeReportQuality, QUALITY_LABEL_PREFIX } from "./quality.js";
+import {
+  findConfirmationsComment,
+  readConfirmations,
+  summariseConfirmations,
+} from "./confirmations.js";
 
 dotenv.config(); // Load environment variables from .env for local testing
 
 // Initialize Octokit with the provided GITHUB_TOKEN
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN,
-});
+const octokit = createOctokit();
+// Corrected values are written with GH_TOKEN when it is set. Edits made with
+// GITHUB_TOKEN do not trigger workflows, so the title and labels would not be refreshed.
+const issueEditOctokit = process.env.GH_TOKEN
+  ? createOctokit(process.env.GH_TOKEN)
+  : octokit;
 
 // Initialize AJV for schema validation
 const ajv = new Ajv({ allErrors: true, strict: false });
@@ -45,33 +86,130 @@ try {
 // Label for incomplete templates
 const incompleteLabel = "invalid:template-incomplete";
 
+// Label for reports with warnings (these never close a report)
+const warningsLabel = "note:validation-warnings";
+
+// Enums with more options than this only list the allowed values if there is no suggestion
+const maxListedEnumValues = 10;
+
+// Report fields the battery life estimate is calculated from
+const batteryLifeFields = ["Device", "Average Battery Power Draw"];
+
+// Message keys of the headers used to find the bot-managed comments (in any language)
+const validationCommentHeader = "validation.header";
+const batteryLifeCommentHeader = "batteryLife.header";
+const warningsCommentHeader = "warnings.header";
+const qualityCommentHeader = "quality.header";
+
+// Schema keywords whose errors are described by a "checks.schema.<keyword>" message
+const localisedSchemaKeywords = [
+  "required",
+  "type",
+  "enum",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minimum",
+  "exclusiveMinimum",
+  "maximum",
+  "exclusiveMaximum",
+];
+
+// Number of missing optional sections named in the quality comment
+const maxListedMissingFields = 3;
+
+// Language of the comments posted on the issue being checked
+let reportLanguage = DEFAULT_LANGUAGE;
+
+// Community confirmations of the issue being checked (kept by ReportBot, see report-bot.js).
+// The tally comment is found by the same GH_ACTIONS_BOT_USER that ReportBot posts it as.
+const ghActionsBotUser =
+  process.env.GH_ACTIONS_BOT_USER ?? "github-actions[bot]";
+let reportConfirmations = null;
+
+// Hidden marker storing the errors reported in the validation comment
+const validationErrorsMarkerRegex =
+  /<!-- validation-errors:([A-Za-z0-9+/=]*) -->/;
+
 // Validate and label issue
 async function processIssue(owner, repo, issue) {
   const body = typeof issue.body === "string" ? issue.body : "";
+  reportLanguage = getReportLanguage(body);
+  reportConfirmations = await readConfirmationSummary(
+    owner,
+    repo,
+    issue.number
+  );
 
   if (body.trim() === "") {
-    await handleValidationFailure(owner, repo, issue.number, [
-      "Issue body is empty.",
+    const message = formatMessage(reportLanguage, "checks.emptyBody");
+    writeValidationResults(issue.number, [
+      createValidationResult("error", "body", message),
     ]);
+    await handleValidationFailure(owner, repo, issue.number, [message]);
     return;
   }
 
   // Build object based on extracted values
+  let report;
   let reportData;
+  let settingsRepairs;
   try {
-    reportData = buildReportData(body, validate.schema.properties);
+    report = parseReportBody(body);
+    settingsRepairs = repairGameSettings(report);
+    reportData = buildReportData(report, validate.schema.properties);
+    const launchOptions = parseLaunchOptions(
+      reportData["Custom Launch Options"]
+    );
+    if (launchOptions) {
+      reportData.launchOptions = launchOptions;
+    }
   } catch (error) {
-    await handleValidationFailure(owner, repo, issue.number, [
-      `Unable to parse issue body: ${error.message}`,
+    const message = formatMessage(reportLanguage, "checks.unreadableBody", {
+      error: error.message,
+    });
+    writeValidationResults(issue.number, [
+      createValidationResult("error", "body", message),
     ]);
+    await handleValidationFailure(owner, repo, issue.number, [message]);
     return;
   }
 
-  // Build a list of errors
-  const errors = [];
+  // Auto-correct values that are only slightly different to an allowed value
+  const corrections = [
+    ...settingsRepairs,
+    ...correctEnumValues(report, reportData),
+  ];
+
+  // Rewrite the OS and compatibility tool versions in their canonical form
+  for (const change of normaliseVersionFields(report)) {
+    reportData[change.field] = change.to;
+    corrections.push(change);
+    console.log(
+      `Normalised ${change.field}: "${change.from}" -> "${change.to}"`
+    );
+  }
+  if (corrections.length > 0) {
+    await updateCorrectedIssueBody(
+      owner,
+      repo,
+      issue.number,
+      serializeReportBody(report),
+      corrections
+    );
+  }
+
+  // Record every problem found as { field, keyword, severity, message, suggestedFix }
+  const results = [];
+  const addResults = (severity, keyword, messages, details = {}) =>
+    results.push(
+      ...messages.map((message) =>
+        createValidationResult(severity, keyword, message, details)
+      )
+    );
 
   // Check the in-game settings markdown formatting
-  ["Game Display Settings", "Game Graphics Settings"].forEach((section) => {
+  Object.values(GAME_SETTINGS_SECTIONS).forEach((section) => {
     const sectionContent = reportData[section];
     if (sectionContent) {
       const invalidLines = validateGameSettingsMarkdownSection(
@@ -79,47 +217,242 @@ async function processIssue(owner, repo, issue) {
       );
       if (invalidLines.length > 0) {
         invalidLines.forEach(({ line, lineNumber }) => {
-          errors.push(
-            `Invalid markdown for in-game settings in section '${section}' (Line ${lineNumber}): \`${line}\``
-          );
+          const messages = [
+            formatMessage(reportLanguage, "checks.settingsMarkdown", {
+              section,
+              line: lineNumber,
+              text: line,
+            }),
+          ];
           // if it’s an <img> tag, add the extra hint
           if (/^<img\s+/.test(line.trim())) {
-            errors.push(
-              "Images can be placed in the 'Additional Notes' section."
+            messages.push(
+              formatMessage(reportLanguage, "checks.settingsImage")
             );
           }
+          addResults("error", "settingsMarkdown", messages, {
+            field: section,
+          });
         });
       }
     }
   });
 
+  // Check the reported values are possible on the selected device
+  addResults(
+    "error",
+    "deviceCapability",
+    validateDeviceCapabilities(reportData)
+  );
+
+  // Check the App ID belongs to the reported game. The app list is only searched
+  // for a suggestion when the check fails.
+  const steamAppIdErrors = validateSteamAppId(reportData, reportLanguage);
+  addResults("error", "steamAppId", steamAppIdErrors, {
+    suggestedFix:
+      steamAppIdErrors.length > 0
+        ? findSteamAppsByName(reportData["Game Name"])[0]?.appid
+        : null,
+  });
+
+  // Check the OS and compatibility tool versions
+  const versionChecks = validateVersionFields(reportData, reportLanguage);
+  addResults("error", "version", versionChecks.errors);
+  addResults("warning", "version", versionChecks.warnings);
+
+  // Check the custom launch options for common mistakes
+  addResults(
+    "warning",
+    "launchOptions",
+    lintLaunchOptions(reportData.launchOptions, reportData, reportLanguage)
+  );
+
+  // Check the frame limit agrees with the related values
+  addResults("warning", "frameLimit", validateFrameLimit(reportData));
+
   // Perform schema validation
   const valid = validate(reportData);
-  if (!valid || errors.length > 0) {
-    const schemaErrors = valid
-      ? []
-      : validate.errors.map((err) => {
-          const field = err.instancePath.slice(1) || err.params.missingProperty;
-
-          // Include allowed values in the error message if available
-          let errorMessage = `${field}: ${err.message}`;
-          if (err.keyword === "enum" && err.params.allowedValues) {
-            errorMessage += ` (${err.params.allowedValues.join(", ")})`;
-          }
+  if (!valid) {
+    results.unshift(...buildSchemaResults(reportData));
+  }
 
-          return errorMessage;
-        });
-    const allErrors = [...schemaErrors, ...errors];
+  const errorResults = results.filter((result) => result.severity === "error");
+  // Skip warnings about fields that already need fixing
+  const errorFields = errorResults.map((result) => result.field);
+  const warningResults = results.filter(
+    (result) =>
+      result.severity === "warning" && !errorFields.includes(result.field)
+  );
+  const warnings = warningResults.map((result) => result.message);
+  // Only valid reports get a quality score
+  const quality =
+    errorResults.length === 0
+      ? computeReportQuality(report, issue.labels)
+      : null;
+  // Only estimate the battery life when the fields it is calculated from are valid
+  const batteryLife = batteryLifeFields.some((field) =>
+    errorFields.includes(field)
+  )
+    ? null
+    : estimateBatteryLife(
+        reportData["Device"],
+        reportData["Average Battery Power Draw"]
+      );
+  writeValidationResults(
+    issue.number,
+    [...errorResults, ...warningResults],
+    quality,
+    batteryLife
+  );
+
+  if (errorResults.length > 0) {
+    const allErrors = [
+      ...new Set(errorResults.map((result) => result.message)),
+    ];
     console.error("❌ Validation errors:", allErrors);
-    await handleValidationFailure(owner, repo, issue.number, allErrors);
+    await handleValidationFailure(
+      owner,
+      repo,
+      issue.number,
+      allErrors,
+      corrections,
+      warnings
+    );
   } else {
     console.log("✔ Issue passes schema validation.");
     await removeValidationComments(owner, repo, issue.number);
+    if (corrections.length > 0) {
+      await postCorrectionsComment(owner, repo, issue.number, corrections);
+    }
+    await updateBatteryLifeComment(owner, repo, issue.number, batteryLife);
+    await updateWarningsComment(owner, repo, issue.number, warnings);
+    await updateQualityComment(owner, repo, issue.number, quality);
     await removeIncompleteLabel(owner, repo, issue.number);
     if (issue.state === "closed") {
       await openPreviouslyClosedIssue(owner, repo, issue.number);
     }
   }
+  await updateWarningsLabel(owner, repo, issue, warnings.length > 0);
+  await updateQualityLabel(owner, repo, issue, quality);
+}
+
+// Create a machine-readable validation result. The field is read from the
+// "Field: message" prefix unless given.
+function createValidationResult(severity, keyword, message, details = {}) {
+  const prefix = message.split(":")[0];
+  return {
+    field:
+      details.field || (prefix in validate.schema.properties ? prefix : null),
+    keyword,
+    severity,
+    message,
+    suggestedFix:
+      details.suggestedFix === undefined || details.suggestedFix === null
+        ? null
+        : String(details.suggestedFix),
+  };
+}
+
+// Convert the schema validation errors into validation results
+function buildSchemaResults(reportData) {
+  return (
+    validate.errors
+      // A failed conditional rule also reports a generic 'must match "then" schema' error
+      .filter((err) => err.keyword !== "if")
+      .map((err) => {
+        const field = err.instancePath.slice(1) || err.params.missingProperty;
+
+        // Name the fields that conflict when a conditional rule fails
+        const rule = findConditionalRule(err);
+        if (rule) {
+          let errorMessage = formatConditionalRuleError(
+            field,
+            rule,
+            reportData
+          );
+          // Suggest the App ID of a Steam game with the reported name
+          const apps =
+            field === "App ID"
+              ? findSteamAppsByName(reportData["Game Name"])
+              : [];
+          if (apps.length > 0) {
+            errorMessage += `. ${formatMessage(
+              reportLanguage,
+              "checks.didYouMean",
+              { suggestion: formatSteamApps(apps, reportLanguage) }
+            )}`;
+          }
+          return createValidationResult("error", "if", errorMessage, {
+            field,
+            suggestedFix: apps[0]?.appid,
+          });
+        }
+
+        // Include a suggestion and/or the allowed values in the error message if available
+        let errorMessage = `${field}: ${formatSchemaError(err)}`;
+        let suggestion = null;
+        if (err.keyword === "enum" && err.params.allowedValues) {
+          const allowedValues = err.params.allowedValues;
+          suggestion = suggestClosestValue(reportData[field], allowedValues);
+          if (suggestion) {
+            errorMessage += `. ${formatMessage(
+              reportLanguage,
+              "checks.didYouMean",
+              { suggestion: `"${suggestion}"` }
+            )}`;
+          }
+          if (!suggestion || allowedValues.length <= maxListedEnumValues) {
+            errorMessage += ` (${allowedValues.join(", ")})`;
+          }
+        }
+
+        return createValidationResult("error", err.keyword, errorMessage, {
+          field,
+          suggestedFix: suggestion,
+        });
+      })
+  );
+}
+
+// Describe a schema error in the report language. Keywords without a message in the
+// catalogue keep the message from Ajv.
+function formatSchemaError(err) {
+  if (!localisedSchemaKeywords.includes(err.keyword)) {
+    return err.message;
+  }
+  return formatMessage(reportLanguage, `checks.schema.${err.keyword}`, {
+    property: err.params.missingProperty,
+    type: err.params.type,
+    limit: err.params.limit,
+    pattern: err.params.pattern,
+  });
+}
+
+// Write the validation results (and the quality and battery life estimate of the
+// report) for an issue to a JSON file and the action outputs
+function writeValidationResults(
+  issueNumber,
+  results,
+  quality = null,
+  batteryLife = null
+) {
+  const resultsDir = process.env.VALIDATION_RESULTS_DIR || "validation-results";
+  const resultsPath = path.resolve(resultsDir, `issue-${issueNumber}.json`);
+  const validationResults = {
+    issueNumber,
+    valid: !results.some((result) => result.severity === "error"),
+    checkedAt: new Date().toISOString(),
+    quality,
+    batteryLife,
+    confirmations: reportConfirmations,
+    results,
+  };
+
+  fs.mkdirSync(resultsDir, { recursive: true });
+  fs.writeFileSync(resultsPath, JSON.stringify(validationResults, null, 4));
+  core.setOutput("validation_results", JSON.stringify(validationResults));
+  core.setOutput("validation_results_path", resultsPath);
+  console.log(`Wrote validation results to ${resultsPath}`);
 }
 
 // Additional checks for in-game settings markdown sections
@@ -127,22 +460,260 @@ function validateGameSettingsMarkdownSection(lines) {
   // Allow only:
   //  • level-4 headings (#### …)
   //  • list items (- **Label:** value)
-  const validLineRegex = /^((####\s.*)|(-\s\*\*[^:]+:\*\*\s.*))$/;
-  const invalidLines = [];
+  return parseGameSettingsSection(lines.join("\n")).invalidLines;
+}
+
+// Cross-check report values against the device capabilities in hardware.json
+function validateDeviceCapabilities(reportData) {
+  const device = findHardwareDevice(reportData["Device"]);
+  if (!device) return [];
+
+  const errors = [];
+  const tdpLimit = reportData["TDP Limit"];
+  if (typeof tdpLimit === "number" && tdpLimit > device.max_tdp_w) {
+    errors.push(
+      `TDP Limit: ${formatMessage(reportLanguage, "checks.device.maxTdp", {
+        limit: device.max_tdp_w,
+        device: device.name,
+      })}`
+    );
+  }
+
+  const gpuClock = reportData["Manual GPU Clock"];
+  if (typeof gpuClock === "number" && gpuClock > device.max_gpu_clk) {
+    errors.push(
+      `Manual GPU Clock: ${formatMessage(
+        reportLanguage,
+        "checks.device.maxGpuClock",
+        { limit: device.max_gpu_clk, device: device.name }
+      )}`
+    );
+  }
+
+  if (reportData["Enable VRR"] === "On" && !device.supports_vrr) {
+    errors.push(
+      `Enable VRR: ${formatMessage(reportLanguage, "checks.device.noVrr", {
+        device: device.name,
+      })}`
+    );
+  }
+
+  const resolution = parseResolution(reportData["Game Resolution"]);
+  const maxResolution = parseResolution(device.max_display_resolution);
+  if (
+    resolution &&
+    maxResolution &&
+    (resolution.width > maxResolution.width ||
+      resolution.height > maxResolution.height)
+  ) {
+    errors.push(
+      `Game Resolution: ${formatMessage(
+        reportLanguage,
+        "checks.device.maxResolution",
+        { resolution: device.max_display_resolution, device: device.name }
+      )}`
+    );
+  }
+
+  return errors;
+}
+
+// Find the conditional rule (an `allOf` entry with `if`/`then`) that produced a schema error
+function findConditionalRule(err) {
+  const match = err.schemaPath.match(/^#\/allOf\/(\d+)\//);
+  return match ? validate.schema.allOf[Number(match[1])] : null;
+}
+
+// Describe a failed conditional rule, eg. 'App ID: must be set ... when Launcher is "Steam"'.
+// The rule is described by its message in the catalogue, or its description if it has none.
+function formatConditionalRuleError(field, rule, reportData) {
+  const conditions = Object.keys(rule.if.properties).map((name) =>
+    formatMessage(reportLanguage, "checks.condition", {
+      field: name,
+      value: reportData[name],
+    })
+  );
+  return `${field}: ${formatMessage(reportLanguage, "checks.conditionalRule", {
+    rule: rule.message
+      ? formatMessage(reportLanguage, rule.message)
+      : rule.description,
+    conditions: new Intl.ListFormat(reportLanguage, {
+      type: "conjunction",
+    }).format(conditions),
+  })}`;
+}
+
+// Read the lowest framerate of a "Target Framerate" option (eg. 40 for "40-49 FPS")
+function getMinimumTargetFramerate(value) {
+  if (/^\s*</.test(String(value || ""))) return 0;
+  const match = String(value || "").match(/^\s*(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+// Warn about a Frame Limit that disagrees with the related report values
+function validateFrameLimit(reportData) {
+  const frameLimit = reportData["Frame Limit"];
+  if (typeof frameLimit !== "number") return [];
 
-  lines.forEach((line, index) => {
-    const trimmedLine = line.trim();
-    if (trimmedLine === "" || validLineRegex.test(trimmedLine)) {
-      return;
+  const warnings = [];
+  if (reportData["Disable Frame Limit"] === "On") {
+    warnings.push(
+      `Frame Limit: ${formatMessage(
+        reportLanguage,
+        "checks.frameLimit.disabled",
+        {
+          frameLimit,
+        }
+      )}`
+    );
+  }
+
+  const device = findHardwareDevice(reportData["Device"]);
+  if (device && frameLimit > device.max_refresh_rate) {
+    warnings.push(
+      `Frame Limit: ${formatMessage(
+        reportLanguage,
+        "checks.frameLimit.aboveRefreshRate",
+        {
+          frameLimit,
+          refreshRate: device.max_refresh_rate,
+          device: device.name,
+        }
+      )}`
+    );
+  }
+
+  const minimumFramerate = getMinimumTargetFramerate(
+    reportData["Target Framerate"]
+  );
+  if (minimumFramerate !== null && frameLimit < minimumFramerate) {
+    warnings.push(
+      `Frame Limit: ${formatMessage(
+        reportLanguage,
+        "checks.frameLimit.belowTargetFramerate",
+        { frameLimit, targetFramerate: reportData["Target Framerate"] }
+      )}`
+    );
+  }
+
+  return warnings;
+}
+
+// Correct enum values in the report that differ only in case, whitespace or by a unique prefix
+function correctEnumValues(report, reportData) {
+  const corrections = [];
+  for (const [field, property] of Object.entries(validate.schema.properties)) {
+    const value = reportData[field];
+    if (
+      !Array.isArray(property.enum) ||
+      typeof value !== "string" ||
+      property.enum.includes(value)
+    ) {
+      continue;
     }
-    invalidLines.push({ line: trimmedLine, lineNumber: index + 1 });
+    const corrected = resolveEnumValue(value, property.enum);
+    if (!corrected) continue;
+
+    setSectionContent(report, field, corrected);
+    reportData[field] = corrected;
+    corrections.push({ field, from: value, to: corrected });
+    console.log(`Corrected ${field}: "${value}" -> "${corrected}"`);
+  }
+  return corrections;
+}
+
+// Reformat settings lines that are close to the accepted markdown format.
+// Lines that cannot be repaired are left for validation to report.
+function repairGameSettings(report) {
+  const corrections = [];
+  for (const section of Object.values(GAME_SETTINGS_SECTIONS)) {
+    const content = getSectionContent(report, section);
+    if (!content || isNoResponse(content)) continue;
+
+    const repaired = repairGameSettingsSection(content);
+    if (repaired.repairs.length === 0) continue;
+
+    setSectionContent(report, section, repaired.content);
+    for (const repair of repaired.repairs) {
+      console.log(
+        repair.to
+          ? `Reformatted ${section} (Line ${repair.lineNumber}): "${repair.from}" -> "${repair.to}"`
+          : `Removed ${section} (Line ${repair.lineNumber}): "${repair.from}"`
+      );
+      // Removed table headers and separators are not worth listing in the comment
+      if (repair.to) {
+        corrections.push({
+          field: `${section} (Line ${repair.lineNumber})`,
+          from: repair.from,
+          to: repair.to,
+        });
+      }
+    }
+  }
+  return corrections;
+}
+
+// Save the auto-corrected values to the issue body
+async function updateCorrectedIssueBody(
+  owner,
+  repo,
+  issueNumber,
+  updatedBody,
+  corrections
+) {
+  await issueEditOctokit.issues.update({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body: updatedBody,
   });
+  console.log(
+    `Updated issue #${issueNumber} body with ${corrections.length} corrected value(s).`
+  );
+}
 
-  return invalidLines;
+// Explain the settings format when settings lines were reformatted
+function buildSettingsFormatNote(corrections) {
+  const sections = Object.values(GAME_SETTINGS_SECTIONS);
+  const reformatted = corrections.some((correction) =>
+    sections.some((section) => correction.field.startsWith(`${section} (`))
+  );
+  return reformatted
+    ? [formatMessage(reportLanguage, "corrections.settingsFormat"), ""]
+    : [];
+}
+
+// Post a comment noting the values that were corrected in a valid report
+async function postCorrectionsComment(owner, repo, issueNumber, corrections) {
+  const commentBody = [
+    formatMessage(reportLanguage, "corrections.header"),
+    "",
+    formatMessage(reportLanguage, "corrections.intro"),
+    "",
+    ...formatValueChanges(corrections),
+    "",
+    ...buildSettingsFormatNote(corrections),
+    formatMessage(reportLanguage, "corrections.noActionRequired"),
+  ].join("\n");
+
+  await octokit.issues.createComment({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body: commentBody,
+  });
+  console.log(`Posted corrected values comment on issue #${issueNumber}`);
 }
 
 // Handle validation failures (add label and comment)
-async function handleValidationFailure(owner, repo, issueNumber, errors) {
+async function handleValidationFailure(
+  owner,
+  repo,
+  issueNumber,
+  errors,
+  corrections = [],
+  warnings = []
+) {
   const existingLabels = (
     await octokit.issues.get({ owner, repo, issue_number: issueNumber })
   ).data.labels.map((label) => label.name);
@@ -151,7 +722,103 @@ async function handleValidationFailure(owner, repo, issueNumber, errors) {
     await addIncompleteLabel(owner, repo, issueNumber);
   }
 
-  await postValidationComment(owner, repo, issueNumber, errors);
+  await postValidationComment(
+    owner,
+    repo,
+    issueNumber,
+    errors,
+    corrections,
+    warnings
+  );
+  // Warnings are included in the validation comment while the report is invalid
+  await updateWarningsComment(owner, repo, issueNumber, []);
+  // Only valid reports have a battery life estimate and a quality score
+  await updateBatteryLifeComment(owner, repo, issueNumber, null);
+  await updateQualityComment(owner, repo, issueNumber, null);
+}
+
+// Add or remove the warnings label so maintainers can filter reports with warnings
+async function updateWarningsLabel(owner, repo, issue, hasWarnings) {
+  const hasLabel = issue.labels.some(
+    (label) => (label.name || label) === warningsLabel
+  );
+  if (hasWarnings && !hasLabel) {
+    await octokit.issues.addLabels({
+      owner,
+      repo,
+      issue_number: issue.number,
+      labels: [warningsLabel],
+    });
+    console.log(`Added label "${warningsLabel}" to issue #${issue.number}`);
+  } else if (!hasWarnings && hasLabel) {
+    await octokit.issues.removeLabel({
+      owner,
+      repo,
+      issue_number: issue.number,
+      name: warningsLabel,
+    });
+    console.log(`Removed label "${warningsLabel}" from issue #${issue.number}`);
+  }
+}
+
+// Set the quality label of a valid report and remove any other quality labels
+async function updateQualityLabel(owner, repo, issue, quality) {
+  const qualityLabel = quality ? quality.label : null;
+  const currentLabels = issue.labels
+    .map((label) => label.name || label)
+    .filter((name) => name.startsWith(QUALITY_LABEL_PREFIX));
+
+  for (const name of currentLabels) {
+    if (name === qualityLabel) continue;
+    await octokit.issues.removeLabel({
+      owner,
+      repo,
+      issue_number: issue.number,
+      name,
+    });
+    console.log(`Removed label "${name}" from issue #${issue.number}`);
+  }
+  if (qualityLabel && !currentLabels.includes(qualityLabel)) {
+    await octokit.issues.addLabels({
+      owner,
+      repo,
+      issue_number: issue.number,
+      labels: [qualityLabel],
+    });
+    console.log(
+      `Added label "${qualityLabel}" to issue #${issue.number} (score ${quality.score})`
+    );
+  }
+}
+
+// Build the list of changes that would improve the quality score
+function buildQualityTips(quality) {
+  const variables = {
+    fields: quality.missingFields
+      .slice(0, maxListedMissingFields)
+      .map((field) => `**${field}**`)
+      .join(", "),
+    labels: quality.communityLabels.map((label) => `\`${label}\``).join(", "),
+  };
+  return quality.improvements.map(
+    (name) =>
+      `- ${formatMessage(reportLanguage, `quality.tips.${name}`, variables)}`
+  );
+}
+
+// Build a collapsible list of warnings
+function buildWarningsDetails(warnings) {
+  return [
+    "<details>",
+    `<summary>${formatMessage(reportLanguage, "warnings.summary", {
+      count: warnings.length,
+    })}</summary>`,
+    "",
+    ...warnings.map((warning) => `- ${warning}`),
+    "",
+    "</details>",
+    "",
+  ];
 }
 
 // Add the "template-incomplete" label
@@ -165,37 +832,165 @@ async function addIncompleteLabel(owner, repo, issueNumber) {
   console.log(`Added label "${incompleteLabel}" to issue #${issueNumber}`);
 }
 
-// Post comment prompting user to fix issue
-async function postValidationComment(owner, repo, issueNumber, errors) {
-  const commentBody = [
-    "**Validation Failed:** Some required sections are missing or incomplete.\n",
-    "### Sections to fix:",
-    ...errors.map((error) => `- ${error}\n`),
-    "Please edit the issue to include all required sections with the correct formatting.",
-  ].join("\n");
-
-  await octokit.issues.createComment({
+// Summarise the confirmations listed in the ReportBot tally comment
+async function readConfirmationSummary(owner, repo, issueNumber) {
+  const comments = await octokit.paginate(octokit.issues.listComments, {
     owner,
     repo,
     issue_number: issueNumber,
-    body: commentBody,
+    per_page: 100,
   });
-  console.log(`Posted validation comment on issue #${issueNumber}:`);
-  console.log(commentBody);
+  const tally = findConfirmationsComment(comments, ghActionsBotUser);
+  return summariseConfirmations(tally ? readConfirmations(tally.body) : []);
 }
 
-// Remove validation comments from the issue
-async function removeValidationComments(owner, repo, issueNumber) {
-  const comments = await octokit.issues.listComments({
+// List the comments posted by the bot that contain the given header message in any language
+async function listBotComments(owner, repo, issueNumber, headerKey) {
+  const headers = getMessageVariants(headerKey);
+  const comments = await octokit.paginate(octokit.issues.listComments, {
     owner,
     repo,
     issue_number: issueNumber,
+    per_page: 100,
   });
-
-  const botComments = comments.data.filter(
+  return comments.filter(
     (comment) =>
       comment.user.login === "github-actions[bot]" &&
-      comment.body.includes("**Validation Failed:**")
+      headers.some((header) => comment.body.includes(header))
+  );
+}
+
+// Read the list of errors stored in a previous validation comment
+function readPreviousValidationErrors(commentBody) {
+  const match = (commentBody || "").match(validationErrorsMarkerRegex);
+  if (!match) return [];
+  try {
+    const errors = JSON.parse(
+      Buffer.from(match[1], "base64").toString("utf-8")
+    );
+    return Array.isArray(errors) ? errors : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Build the validation comment, marking what changed since the previous check
+function buildValidationCommentBody(
+  errors,
+  previousErrors,
+  corrections = [],
+  warnings = []
+) {
+  const isRecheck = previousErrors.length > 0;
+  const fixedErrors = previousErrors.filter((error) => !errors.includes(error));
+  const errorLines = errors.map((error) =>
+    isRecheck && !previousErrors.includes(error)
+      ? `- 🆕 **${error}**\n`
+      : `- ${error}\n`
+  );
+  const fixedLines = fixedErrors.map((error) => `- ~~${error}~~ ✅\n`);
+  const marker = Buffer.from(JSON.stringify(errors), "utf-8").toString(
+    "base64"
+  );
+
+  return [
+    `${formatMessage(reportLanguage, validationCommentHeader)} ${formatMessage(
+      reportLanguage,
+      "validation.intro"
+    )}\n`,
+    formatMessage(reportLanguage, "validation.sectionsToFix"),
+    ...errorLines,
+    ...fixedLines,
+    ...(warnings.length > 0
+      ? [
+          formatMessage(reportLanguage, "validation.doubleCheck"),
+          ...buildWarningsDetails(warnings),
+        ]
+      : []),
+    ...(corrections.length > 0
+      ? [
+          formatMessage(reportLanguage, "validation.corrected"),
+          ...formatValueChanges(corrections),
+          "",
+          ...buildSettingsFormatNote(corrections),
+        ]
+      : []),
+    ...(isRecheck
+      ? [`${formatMessage(reportLanguage, "validation.recheckNote")}\n`]
+      : []),
+    formatMessage(reportLanguage, "validation.editPrompt"),
+    `<!-- validation-errors:${marker} -->`,
+  ].join("\n");
+}
+
+// Post or update the comment prompting user to fix issue
+async function postValidationComment(
+  owner,
+  repo,
+  issueNumber,
+  errors,
+  corrections = [],
+  warnings = []
+) {
+  const existingComments = await listBotComments(
+    owner,
+    repo,
+    issueNumber,
+    validationCommentHeader
+  );
+  // Keep the most recent validation comment and remove any older duplicates
+  const existing = existingComments.pop();
+  for (const comment of existingComments) {
+    await octokit.issues.deleteComment({
+      owner,
+      repo,
+      comment_id: comment.id,
+    });
+    console.log(
+      `Deleted outdated validation comment (ID: ${comment.id}) on issue #${issueNumber}`
+    );
+  }
+
+  const commentBody = buildValidationCommentBody(
+    errors,
+    readPreviousValidationErrors(existing?.body),
+    corrections,
+    warnings
+  );
+
+  if (!existing) {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body: commentBody,
+    });
+    console.log(`Posted validation comment on issue #${issueNumber}:`);
+  } else if (existing.body !== commentBody) {
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: commentBody,
+    });
+    console.log(
+      `Updated validation comment (ID: ${existing.id}) on issue #${issueNumber}:`
+    );
+  } else {
+    console.log(
+      `Validation comment (ID: ${existing.id}) on issue #${issueNumber} is already up to date:`
+    );
+  }
+  console.log(commentBody);
+}
+
+// Remove validation comments from the issue
+async function removeValidationComments(owner, repo, issueNumber) {
+  const botComments = await listBotComments(
+    owner,
+    repo,
+    issueNumber,
+    validationCommentHeader
   );
 
   for (const comment of botComments) {
@@ -210,6 +1005,179 @@ async function removeValidationComments(owner, repo, issueNumber) {
   }
 }
 
+// Create, update or remove the bot-managed battery life estimate comment
+async function updateBatteryLifeComment(owner, repo, issueNumber, estimate) {
+  const [existing] = await listBotComments(
+    owner,
+    repo,
+    issueNumber,
+    batteryLifeCommentHeader
+  );
+
+  if (!estimate) {
+    if (existing) {
+      await octokit.issues.deleteComment({
+        owner,
+        repo,
+        comment_id: existing.id,
+      });
+      console.log(
+        `Deleted battery life comment (ID: ${existing.id}) on issue #${issueNumber}`
+      );
+    }
+    return;
+  }
+
+  const commentBody = [
+    `${formatMessage(reportLanguage, batteryLifeCommentHeader)}: ~${
+      estimate.text
+    }`,
+    "",
+    formatMessage(reportLanguage, "batteryLife.basis", {
+      powerDraw: estimate.powerDrawW,
+      batterySize: estimate.batterySizeWh,
+      device: estimate.device,
+    }),
+    "",
+    formatMessage(reportLanguage, "batteryLife.note"),
+  ].join("\n");
+
+  if (existing) {
+    if (existing.body === commentBody) return;
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: commentBody,
+    });
+    console.log(
+      `Updated battery life comment (ID: ${existing.id}) on issue #${issueNumber}: ${estimate.text}`
+    );
+  } else {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body: commentBody,
+    });
+    console.log(
+      `Posted battery life comment on issue #${issueNumber}: ${estimate.text}`
+    );
+  }
+}
+
+// Create, update or remove the bot-managed comment listing warnings for a valid report
+async function updateWarningsComment(owner, repo, issueNumber, warnings) {
+  const [existing] = await listBotComments(
+    owner,
+    repo,
+    issueNumber,
+    warningsCommentHeader
+  );
+
+  if (warnings.length === 0) {
+    if (existing) {
+      await octokit.issues.deleteComment({
+        owner,
+        repo,
+        comment_id: existing.id,
+      });
+      console.log(
+        `Deleted warnings comment (ID: ${existing.id}) on issue #${issueNumber}`
+      );
+    }
+    return;
+  }
+
+  const commentBody = [
+    `${formatMessage(reportLanguage, warningsCommentHeader)} ${formatMessage(
+      reportLanguage,
+      "warnings.intro"
+    )}\n`,
+    ...buildWarningsDetails(warnings),
+    formatMessage(reportLanguage, "warnings.note"),
+  ].join("\n");
+
+  if (existing) {
+    if (existing.body === commentBody) return;
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: commentBody,
+    });
+    console.log(
+      `Updated warnings comment (ID: ${existing.id}) on issue #${issueNumber}`
+    );
+  } else {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body: commentBody,
+    });
+    console.log(`Posted warnings comment on issue #${issueNumber}`);
+  }
+}
+
+// Create, update or remove the bot-managed comment listing what would improve the quality score
+async function updateQualityComment(owner, repo, issueNumber, quality) {
+  const [existing] = await listBotComments(
+    owner,
+    repo,
+    issueNumber,
+    qualityCommentHeader
+  );
+
+  if (!quality || quality.improvements.length === 0) {
+    if (existing) {
+      await octokit.issues.deleteComment({
+        owner,
+        repo,
+        comment_id: existing.id,
+      });
+      console.log(
+        `Deleted quality comment (ID: ${existing.id}) on issue #${issueNumber}`
+      );
+    }
+    return;
+  }
+
+  const commentBody = [
+    `${formatMessage(reportLanguage, qualityCommentHeader)} ${
+      quality.score
+    }/100 (\`${quality.label}\`)`,
+    "",
+    formatMessage(reportLanguage, "quality.intro"),
+    ...buildQualityTips(quality),
+    "",
+    formatMessage(reportLanguage, "quality.note"),
+  ].join("\n");
+
+  if (existing) {
+    if (existing.body === commentBody) return;
+    await octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id: existing.id,
+      body: commentBody,
+    });
+    console.log(
+      `Updated quality comment (ID: ${existing.id}) on issue #${issueNumber}: ${quality.score}/100`
+    );
+  } else {
+    await octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body: commentBody,
+    });
+    console.log(
+      `Posted quality comment on issue #${issueNumber}: ${quality.score}/100`
+    );
+  }
+}
+
 // Remove the "template-incomplete" label
 async function removeIncompleteLabel(owner, repo, issueNumber) {
   try {
@@ -242,9 +1210,7 @@ async function openPreviouslyClosedIssue(owner, repo, issueNumber) {
       owner,
       repo,
       issue_number: issueNumber,
-      body:
-        "Thanks for updating the report — this issue has now been reopened because all required sections appear to be complete. 🙌\n\n" +
-        "If you have further questions or want help improving your report, feel free to reply here or reach out on Discord: **https://streamingtech.co.nz/discord**",
+      body: formatMessage(reportLanguage, "validation.reopened"),
     });
   } catch (error) {
     console.error(
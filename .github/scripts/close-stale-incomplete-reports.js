@@ -4,25 +4,19 @@
  * File Created: Monday, 5th May 2025 11:57:32 am
  * Author: Josh.5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Monday, 5th January 2026 9:11:27 am
+ * Last Modified: Monday, 19th October 2026 2:50:08 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
-import { graphql } from "@octokit/graphql";
 import dotenv from "dotenv";
+import { createGraphql, createOctokit } from "./github-client.js";
+import { formatMessage, getReportLanguage } from "./messages.js";
 
 dotenv.config();
 
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN,
-});
+const octokit = createOctokit();
 
-const graphqlWithAuth = graphql.defaults({
-  headers: {
-    authorization: `token ${process.env.GITHUB_TOKEN}`,
-  },
-});
+const graphqlWithAuth = createGraphql();
 
 const SIX_DAYS_IN_MS = 6 * 24 * 60 * 60 * 1000;
 const now = new Date();
@@ -127,11 +121,7 @@ async function closeOldIncompleteIssues(owner, repo) {
           owner,
           repo,
           issue_number: issue.number,
-          body:
-            "This issue has been automatically closed because the report remained incomplete for over 6 days after being flagged.\n\n" +
-            "To resolve this, simply **edit the issue body** to fix the missing or incorrectly formatted sections. Our automated checks will re-validate your report and **automatically reopen it** if everything looks correct.\n\n" +
-            "If you need help or have any questions, feel free to leave a comment or reach out on our Discord support server: **https://streamingtech.co.nz/discord**\n\n" +
-            "Thanks for contributing!",
+          body: formatMessage(getReportLanguage(issue.body), "stale.closed"),
         });
         await octokit.issues.update({
           owner,
@@ -0,0 +1,273 @@
+/**
+ * File: command-parser.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:58:25 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:25:03 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+// Grammar of ReportBot commands in issue comments:
+//
+//   /reportbot <command> [argument | "quoted argument" | --flag | --flag=value | #123 ...]
+//   Optional explanation on the following lines
+//
+// Every line starting with `/reportbot` (or `@/reportbot`) starts a new command, so a
+// comment can carry several commands. Lines inside fenced code blocks and quoted
+// lines (`> ...`) are never commands.
+//
+// `--flag` options and `#123` issue references are only read for commands that take
+// them. For every other command they are kept as plain text, so free text such as
+// "what about --fps?" or "#fps" can be written after any label command.
+
+const commandLineRegex = /^(\s*@?\/reportbot)(?=\s|$)(.*)$/i;
+const fenceRegex = /^\s*(```|~~~)/;
+const commandNameRegex = /^[a-z][a-z0-9-]*$/i;
+const flagNameRegex = /^[a-z][a-z0-9-]*$/i;
+const issueReferenceRegex = /^#(\d+)$/;
+
+// Create a parse error. Columns are 1-based positions in the comment line.
+function createParseError(code, line, column, values = {}) {
+  return { code, line, column, values };
+}
+
+// Read a quoted value starting at the opening quote. Returns null if it is not closed.
+function readQuoted(text, start) {
+  const quote = text[start];
+  let value = "";
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\" && i + 1 < text.length) {
+      value += text[++i];
+    } else if (char === quote) {
+      return { value, end: i + 1 };
+    } else {
+      value += char;
+    }
+  }
+  return null;
+}
+
+// Read a word up to the next whitespace
+function readWord(text, start) {
+  let end = start;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+  return { value: text.slice(start, end), end };
+}
+
+// Split the arguments of a command line into arguments, flags and issue references.
+// `syntax` lists the flags the command accepts and whether it takes issue references.
+function tokeniseArguments(text, offset, lineNumber, syntax) {
+  const args = [];
+  const flags = {};
+  const issueRefs = [];
+  const errors = [];
+  const acceptedFlags = syntax.flags || [];
+  const takesIssueReferences = Boolean(syntax.issueReferences);
+  // Free text commands never fail to parse
+  const isFreeText = acceptedFlags.length === 0 && !takesIssueReferences;
+
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+    const column = offset + i + 1;
+
+    if (text[i] === '"' || text[i] === "'") {
+      const quoted = readQuoted(text, i);
+      if (!quoted && isFreeText) {
+        const word = readWord(text, i);
+        args.push(word.value);
+        i = word.end;
+        continue;
+      }
+      if (!quoted) {
+        errors.push(
+          createParseError("unterminatedQuote", lineNumber, column, {
+            quote: text[i],
+          })
+        );
+        break;
+      }
+      args.push(quoted.value);
+      i = quoted.end;
+      continue;
+    }
+
+    if (acceptedFlags.length > 0 && text.startsWith("--", i)) {
+      const nameMatch = text.slice(i + 2).match(/^[^\s=]*/);
+      const name = nameMatch[0];
+      let end = i + 2 + name.length;
+      let value = true;
+      if (text[end] === "=") {
+        const valueStart = end + 1;
+        const quoted =
+          text[valueStart] === '"' || text[valueStart] === "'"
+            ? readQuoted(text, valueStart)
+            : readWord(text, valueStart);
+        if (!quoted) {
+          errors.push(
+            createParseError(
+              "unterminatedQuote",
+              lineNumber,
+              offset + valueStart + 1,
+              { quote: text[valueStart] }
+            )
+          );
+          break;
+        }
+        value = quoted.value;
+        end = quoted.end;
+      }
+      if (!flagNameRegex.test(name)) {
+        errors.push(
+          createParseError("invalidFlag", lineNumber, column, {
+            flag: text.slice(i, end),
+          })
+        );
+      } else if (!acceptedFlags.includes(name.toLowerCase())) {
+        errors.push(
+          createParseError("unknownFlag", lineNumber, column, {
+            flag: `--${name}`,
+            flags: acceptedFlags.map((f) => `\`--${f}\``).join(", "),
+          })
+        );
+      } else {
+        flags[name.toLowerCase()] = value;
+      }
+      i = end;
+      continue;
+    }
+
+    const word = readWord(text, i);
+    if (takesIssueReferences && word.value.startsWith("#")) {
+      const referenceMatch = word.value.match(issueReferenceRegex);
+      if (referenceMatch) {
+        issueRefs.push(Number(referenceMatch[1]));
+      } else {
+        errors.push(
+          createParseError("invalidIssueReference", lineNumber, column, {
+            value: word.value,
+          })
+        );
+      }
+    } else {
+      args.push(word.value);
+    }
+    i = word.end;
+  }
+
+  return { args, flags, issueRefs, errors };
+}
+
+// Parse a single command line (without the explanation lines below it)
+function parseCommandLine(prefix, rest, lineNumber, getSyntax) {
+  const nameStart = rest.search(/\S/);
+  if (nameStart === -1) {
+    return {
+      errors: [
+        createParseError("missingCommand", lineNumber, prefix.length + 1),
+      ],
+    };
+  }
+
+  const name = readWord(rest, nameStart).value;
+  const nameColumn = prefix.length + nameStart + 1;
+  if (!commandNameRegex.test(name)) {
+    return {
+      errors: [
+        createParseError("invalidCommandName", lineNumber, nameColumn, {
+          name,
+        }),
+      ],
+    };
+  }
+
+  const argumentsStart = nameStart + name.length;
+  const argumentsText = rest.slice(argumentsStart);
+  return {
+    name: name.toLowerCase(),
+    argumentsText: argumentsText.trim(),
+    ...tokeniseArguments(
+      argumentsText,
+      prefix.length + argumentsStart,
+      lineNumber,
+      getSyntax(name.toLowerCase()) || {}
+    ),
+  };
+}
+
+/**
+ * Parses the ReportBot commands in a comment.
+ * @param {string} body - The comment body.
+ * @param {function(string): {flags?: string[], issueReferences?: boolean}|null} [getSyntax] -
+ *   Returns the options a command accepts and whether it takes issue references. Commands
+ *   without either keep `--flag` and `#123` as plain arguments.
+ * @returns {{commands: {name: string, args: string[], flags: Object<string, string|true>,
+ *   issueRefs: number[], text: string, context: string|null, line: number, errors: object[]}[],
+ *   errors: {code: string, line: number, column: number, values: object}[]}}
+ *   The commands in the order they appear and every parse error. Each command has its
+ *   arguments, `--flag` options, `#123` issue references, the explanation written on
+ *   the lines below it and the parse errors of its own line. `context` is everything
+ *   written after the command name.
+ *   Error codes are "missingCommand", "invalidCommandName", "unterminatedQuote",
+ *   "invalidFlag", "unknownFlag" and "invalidIssueReference".
+ */
+export function parseCommands(body, getSyntax = () => null) {
+  const commands = [];
+  const errors = [];
+  let current = null;
+  let inFence = false;
+
+  // Finish the command being read, attaching the explanation lines below it
+  const finishCommand = () => {
+    if (!current) return;
+    const text = current.textLines.join("\n").trim();
+    const { textLines, argumentsText, ...command } = current;
+    commands.push({
+      ...command,
+      text,
+      context: [argumentsText, text].filter(Boolean).join("\n") || null,
+    });
+    current = null;
+  };
+
+  (body || "").split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (fenceRegex.test(line)) {
+      inFence = !inFence;
+    }
+    const commandMatch = !inFence && line.match(commandLineRegex);
+    if (!commandMatch) {
+      if (current) current.textLines.push(line);
+      return;
+    }
+
+    finishCommand();
+    const parsed = parseCommandLine(
+      commandMatch[1],
+      commandMatch[2],
+      lineNumber,
+      getSyntax
+    );
+    errors.push(...parsed.errors);
+    if (parsed.name) {
+      current = {
+        name: parsed.name,
+        args: parsed.args,
+        flags: parsed.flags,
+        issueRefs: parsed.issueRefs,
+        errors: parsed.errors,
+        line: lineNumber,
+        argumentsText: parsed.argumentsText,
+        textLines: [],
+      };
+    }
+  });
+  finishCommand();
+
+  return { commands, errors };
+}
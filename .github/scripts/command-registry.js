@@ -0,0 +1,204 @@
+/**
+ * File: command-registry.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 3:04:08 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:25:03 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { DEFAULT_LANGUAGE, loadMessageCatalogues } from "./messages.js";
+
+const registryPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/reportbot-commands.json"
+);
+
+/**
+ * The roles a command can be restricted to. Commands without a role can be run by anyone.
+ */
+export const COMMAND_ROLES = ["author", "maintainer"];
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const FLAG_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const LABEL_COLOR_PATTERN = /^[0-9A-Fa-f]{6}$/;
+
+let commandRegistry = null;
+
+// Check that a message key exists in the default message catalogue
+function hasMessage(key) {
+  return (
+    typeof key === "string" &&
+    key in loadMessageCatalogues()[DEFAULT_LANGUAGE].messages
+  );
+}
+
+/**
+ * Validates the ReportBot command definitions.
+ * @param {{commands: object[]}} registry - The parsed contents of config/reportbot-commands.json.
+ * @returns {string[]} A description of every problem found. Empty if the registry is valid.
+ */
+export function validateCommandRegistry(registry) {
+  const problems = [];
+  if (!Array.isArray(registry?.commands)) {
+    return ['The registry must contain a "commands" list.'];
+  }
+
+  const seenNames = new Map();
+  const seenLabels = new Map();
+  registry.commands.forEach((command, index) => {
+    const name = command?.name;
+    const where = `Command ${
+      typeof name === "string" ? `"${name}"` : `#${index + 1}`
+    }`;
+
+    for (const value of [name, ...(command.aliases || [])]) {
+      if (typeof value !== "string" || !COMMAND_NAME_PATTERN.test(value)) {
+        problems.push(
+          `${where} has an invalid name or alias "${value}". Use lower case letters, digits and dashes.`
+        );
+      } else if (seenNames.has(value)) {
+        problems.push(
+          `${where} uses the name or alias "${value}" that is already used by command "${seenNames.get(
+            value
+          )}".`
+        );
+      } else {
+        seenNames.set(value, name);
+      }
+    }
+    if (command.aliases !== undefined && !Array.isArray(command.aliases)) {
+      problems.push(`${where} must list its aliases in an array.`);
+    }
+
+    if (command.flags !== undefined) {
+      if (!Array.isArray(command.flags)) {
+        problems.push(`${where} must list its flags in an array.`);
+      } else {
+        for (const flag of command.flags) {
+          if (typeof flag !== "string" || !FLAG_NAME_PATTERN.test(flag)) {
+            problems.push(
+              `${where} has an invalid flag "${flag}". Use lower case letters, digits and dashes.`
+            );
+          }
+        }
+      }
+    }
+    if (
+      command.issueReferences !== undefined &&
+      typeof command.issueReferences !== "boolean"
+    ) {
+      problems.push(`${where} must set "issueReferences" to true or false.`);
+    }
+
+    if (command.role !== undefined && !COMMAND_ROLES.includes(command.role)) {
+      problems.push(
+        `${where} has an unknown role "${
+          command.role
+        }". Use one of: ${COMMAND_ROLES.join(", ")}.`
+      );
+    }
+
+    if (!hasMessage(command.help)) {
+      problems.push(
+        `${where} has a help message "${command.help}" that is not in the message catalogue.`
+      );
+    }
+    for (const key of ["reply", "labelUse"]) {
+      if (command[key] !== undefined && !hasMessage(command[key])) {
+        problems.push(
+          `${where} has a ${key} message "${command[key]}" that is not in the message catalogue.`
+        );
+      }
+    }
+    for (const key of command.examples || []) {
+      if (!hasMessage(key)) {
+        problems.push(
+          `${where} has an example message "${key}" that is not in the message catalogue.`
+        );
+      }
+    }
+
+    if (command.label !== undefined) {
+      const { name: labelName, color, description } = command.label || {};
+      if (typeof labelName !== "string" || !labelName) {
+        problems.push(`${where} has a label without a name.`);
+      } else if (seenLabels.has(labelName)) {
+        problems.push(
+          `${where} uses the label "${labelName}" that is already used by command "${seenLabels.get(
+            labelName
+          )}".`
+        );
+      } else {
+        seenLabels.set(labelName, name);
+      }
+      if (typeof color !== "string" || !LABEL_COLOR_PATTERN.test(color)) {
+        problems.push(
+          `${where} has a label color "${color}" that is not a 6 digit hex color.`
+        );
+      }
+      if (typeof description !== "string" || !description) {
+        problems.push(`${where} has a label without a description.`);
+      }
+      if (!command.reply) {
+        problems.push(`${where} applies a label but has no reply message.`);
+      }
+    }
+
+    if (command.webhook !== undefined && typeof command.webhook !== "boolean") {
+      problems.push(`${where} must set "webhook" to true or false.`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Loads and validates the ReportBot commands from config/reportbot-commands.json.
+ * The file is only read once per process.
+ * @returns {object[]} The command definitions, in the order they are listed in help text.
+ * @throws {Error} Listing every problem if the registry is not valid.
+ */
+export function loadCommandRegistry() {
+  if (!commandRegistry) {
+    const registry = JSON.parse(fs.readFileSync(registryPath, "utf-8"));
+    const problems = validateCommandRegistry(registry);
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid ReportBot command registry:\n${problems
+          .map((p) => `  - ${p}`)
+          .join("\n")}`
+      );
+    }
+    commandRegistry = registry.commands;
+  }
+  return commandRegistry;
+}
+
+/**
+ * Finds a command by its name or one of its aliases.
+ * @param {string} nameOrAlias - The command name as written after `/reportbot`.
+ * @returns {object|null} The command definition or null if there is no such command.
+ */
+export function findCommand(nameOrAlias) {
+  const value = String(nameOrAlias ?? "").toLowerCase();
+  return (
+    loadCommandRegistry().find(
+      (c) => c.name === value || (c.aliases || []).includes(value)
+    ) || null
+  );
+}
+
+/**
+ * Lists the labels applied by ReportBot commands. These are the labels that
+ * `/reportbot resolve` can remove.
+ * @returns {{name: string, color: string, description: string}[]} The labels, in registry order.
+ */
+export function getCommandLabels() {
+  return loadCommandRegistry()
+    .map((c) => c.label)
+    .filter(Boolean);
+}
@@ -4,51 +4,564 @@
  * File Created: Thursday, 26th December 2024 2:54:03 pm
  * Author: Josh5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Friday, 8th August 2025 12:55:59 pm
+ * Last Modified: Monday, 19th October 2026 3:42:54 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
+const NO_RESPONSE = "_No response_";
+
+// Report sections that hold in-game settings, keyed by their structured data name
+export const GAME_SETTINGS_SECTIONS = {
+  display: "Game Display Settings",
+  graphics: "Game Graphics Settings",
+};
+
+// Group used for in-game settings listed before any `#### Group` heading
+export const DEFAULT_SETTINGS_GROUP = "General";
+
 /**
- * Extracts the value under a specific Markdown heading from an array of lines.
- * @param {string[]} lines - The lines of text to parse.
- * @param {string} heading - The heading.
- * @returns {string|null} The extracted value or null if not found.
+ * Returns true if a trimmed line is a report section heading (`### ...`).
+ * @param {string} line - A single line of the body.
+ * @returns {boolean}
  */
-export function extractHeadingValue(lines, heading) {
-  const headingToFind = `### ${heading}`.toLowerCase();
-  const headingIndex = lines.findIndex(
-    (line) => line.trim().toLowerCase() === headingToFind
-  );
-  if (headingIndex === -1) return null;
+function isSectionHeading(line) {
+  return line.trim().toLowerCase().startsWith("### ");
+}
+
+/**
+ * Splits text into lines while keeping each line's original line ending.
+ * @param {string} text - The raw text.
+ * @returns {string[]} Lines including their trailing "\n" or "\r\n".
+ */
+function splitLinesKeepEnds(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
 
-  const sectionLines = [];
+/**
+ * Parses a raw report body into an ordered document model.
+ *
+ * The model keeps every byte of the original body so that
+ * `serializeReportBody(parseReportBody(body)) === body` when nothing was changed.
+ *
+ * Document shape:
+ *  - eol: the line ending used by the body ("\n" or "\r\n")
+ *  - preamble: raw text found before the first `### ` heading
+ *  - sections: ordered list of { heading, headingRaw, raw, known }
+ *      - heading: the heading text without the `### ` prefix
+ *      - headingRaw: the raw heading line including its line ending
+ *      - raw: the raw section text up to the next heading
+ *      - known: whether the heading is one of `knownHeadings` (null if not provided)
+ *
+ * @param {string} body - The raw issue body.
+ * @param {string[]|null} [knownHeadings] - Headings expected in a report (eg. the schema property names).
+ * @returns {object} The report document.
+ */
+export function parseReportBody(body, knownHeadings = null) {
+  const text = typeof body === "string" ? body : "";
+  const known = knownHeadings
+    ? new Set(knownHeadings.map((h) => h.toLowerCase()))
+    : null;
 
-  for (let i = headingIndex + 1; i < lines.length; i++) {
-    const currentLine = lines[i].trim();
+  const doc = {
+    eol: text.includes("\r\n") ? "\r\n" : "\n",
+    preamble: "",
+    sections: [],
+  };
 
-    if (currentLine.toLowerCase().startsWith("### ")) {
-      break;
+  let current = null;
+  for (const line of splitLinesKeepEnds(text)) {
+    if (isSectionHeading(line)) {
+      const heading = line.trim().slice(4).trim();
+      current = {
+        heading,
+        headingRaw: line,
+        raw: "",
+        known: known ? known.has(heading.toLowerCase()) : null,
+      };
+      doc.sections.push(current);
+    } else if (current) {
+      current.raw += line;
+    } else {
+      doc.preamble += line;
     }
-    sectionLines.push(currentLine);
   }
 
-  const content = sectionLines.join("\n").trim();
+  return doc;
+}
+
+/**
+ * Serializes a report document back into a raw issue body.
+ * @param {object} doc - The report document from `parseReportBody`.
+ * @returns {string} The issue body.
+ */
+export function serializeReportBody(doc) {
+  return (
+    doc.preamble +
+    doc.sections.map((section) => section.headingRaw + section.raw).join("")
+  );
+}
+
+/**
+ * Finds the first section matching a heading (case-insensitive).
+ * @param {object} doc - The report document.
+ * @param {string} heading - The heading to find (without `### `).
+ * @returns {object|null} The section or null if not found.
+ */
+export function findSection(doc, heading) {
+  const h = heading.toLowerCase();
+  return doc.sections.find((s) => s.heading.toLowerCase() === h) || null;
+}
+
+/**
+ * Returns the trimmed text of a section.
+ * Each line is trimmed and the result is trimmed as a whole.
+ * @param {object} section - A section from the report document.
+ * @returns {string|null} The section text or null if empty.
+ */
+export function getSectionText(section) {
+  const content = section.raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .join("\n")
+    .trim();
   return content.length > 0 ? content : null;
 }
 
+/**
+ * Returns the section text with only surrounding whitespace removed.
+ * Unlike `getSectionText`, indentation inside the section is preserved.
+ * @param {object} section - A section from the report document.
+ * @returns {string} The section text with "\n" line endings.
+ */
+export function getSectionRawText(section) {
+  return section.raw.replace(/\r\n/g, "\n").trim();
+}
+
+/**
+ * Returns true if a section value is the GitHub issue form "_No response_" marker.
+ * @param {string|null} value - The section text.
+ * @returns {boolean}
+ */
+export function isNoResponse(value) {
+  return (value || "").trim() === NO_RESPONSE;
+}
+
+/**
+ * Returns the text under a heading in a report document.
+ * @param {object} doc - The report document.
+ * @param {string} heading - The heading (without `### `).
+ * @returns {string|null} The section text or null if missing or empty.
+ */
+export function getSectionContent(doc, heading) {
+  const section = findSection(doc, heading);
+  return section ? getSectionText(section) : null;
+}
+
+/**
+ * Returns the text under a heading in a report document with indentation preserved.
+ * @param {object} doc - The report document.
+ * @param {string} heading - The heading (without `### `).
+ * @returns {string|null} The section text or null if the section is missing.
+ */
+export function getSectionRawContent(doc, heading) {
+  const section = findSection(doc, heading);
+  return section ? getSectionRawText(section) : null;
+}
+
+/**
+ * Replaces the content of a section, creating the section at the end of the
+ * document if it does not yet exist. Empty content is written as "_No response_".
+ * Only the targeted section is rewritten; the rest of the document is untouched.
+ * @param {object} doc - The report document (modified in place).
+ * @param {string} heading - The heading (without `### `).
+ * @param {string|null} content - The new section content.
+ * @returns {object} The same report document.
+ */
+export function setSectionContent(doc, heading, content) {
+  const { eol } = doc;
+  const text = (content || "").trim().length
+    ? content.replace(/\r?\n/g, eol)
+    : NO_RESPONSE;
+
+  let section = findSection(doc, heading);
+  if (!section) {
+    // Ensure the existing content ends with a blank line before the new heading
+    const last = doc.sections[doc.sections.length - 1];
+    if (last) {
+      last.raw = last.raw.trimEnd() + eol + eol;
+    } else if (doc.preamble.trim().length) {
+      doc.preamble = doc.preamble.trimEnd() + eol + eol;
+    }
+    section = {
+      heading,
+      headingRaw: `### ${heading}${eol}`,
+      raw: "",
+      known: null,
+    };
+    doc.sections.push(section);
+  }
+
+  const isLast = doc.sections[doc.sections.length - 1] === section;
+  section.raw = `${eol}${text}${eol}` + (isLast ? "" : eol);
+  return doc;
+}
+
+/**
+ * Adds a new section before another section, or at the end of the document if
+ * that section does not exist. Empty content is written as "_No response_".
+ * @param {object} doc - The report document (modified in place).
+ * @param {string} heading - The heading of the new section (without `### `).
+ * @param {string|null} content - The section content.
+ * @param {string|null} beforeHeading - The heading to insert the section before.
+ * @returns {object} The same report document.
+ */
+export function insertSection(doc, heading, content, beforeHeading) {
+  const before = beforeHeading ? findSection(doc, beforeHeading) : null;
+  if (!before) {
+    return setSectionContent(doc, heading, content);
+  }
+
+  const { eol } = doc;
+  const text = (content || "").trim().length
+    ? content.replace(/\r?\n/g, eol)
+    : NO_RESPONSE;
+  doc.sections.splice(doc.sections.indexOf(before), 0, {
+    heading,
+    headingRaw: `### ${heading}${eol}`,
+    raw: `${eol}${text}${eol}${eol}`,
+    known: null,
+  });
+  return doc;
+}
+
+/**
+ * Returns the sections whose heading is not one of the known report headings.
+ * @param {object} doc - The report document.
+ * @param {string[]} knownHeadings - Headings expected in a report.
+ * @returns {object[]} The unknown sections.
+ */
+export function getUnknownSections(doc, knownHeadings) {
+  const known = new Set(knownHeadings.map((h) => h.toLowerCase()));
+  return doc.sections.filter((s) => !known.has(s.heading.toLowerCase()));
+}
+
+/**
+ * Parses an in-game settings section into grouped key/value data.
+ *
+ * Only two line formats are accepted:
+ *  - level-4 headings (`#### Group`) which start a new group
+ *  - list items (`- **Label:** value`) which are added to the current group
+ *
+ * @param {string|null} content - The section text.
+ * @returns {{settings: Object<string, {label: string, value: string}[]>, invalidLines: {line: string, lineNumber: number}[]}}
+ *   The settings grouped by heading (in order) and any lines that did not match an accepted format.
+ */
+export function parseGameSettingsSection(content) {
+  const settings = {};
+  const invalidLines = [];
+  let group = DEFAULT_SETTINGS_GROUP;
+
+  (content || "").split(/\r?\n/).forEach((line, index) => {
+    const trimmedLine = line.trim();
+    if (trimmedLine === "") return;
+
+    const headingMatch = trimmedLine.match(/^####\s(.*)$/);
+    if (headingMatch) {
+      group = headingMatch[1].trim() || DEFAULT_SETTINGS_GROUP;
+      if (!settings[group]) settings[group] = [];
+      return;
+    }
+
+    const itemMatch = trimmedLine.match(/^-\s\*\*([^:]+):\*\*\s(.*)$/);
+    if (itemMatch) {
+      if (!settings[group]) settings[group] = [];
+      settings[group].push({
+        label: itemMatch[1].trim(),
+        value: itemMatch[2].trim(),
+      });
+      return;
+    }
+
+    invalidLines.push({ line: trimmedLine, lineNumber: index + 1 });
+  });
+
+  return { settings, invalidLines };
+}
+
+/**
+ * Converts a near-miss settings line (eg. `Label: value`, `* **Label**: value`,
+ * `- Label - value` or `## Group`) into the accepted format.
+ * @param {string} line - A trimmed line of a settings section.
+ * @returns {string|null} The repaired line, or null if it cannot be repaired confidently.
+ */
+function repairGameSettingsLine(line) {
+  // Headings of the wrong level or without a space (eg. `## Graphics`, `####Graphics`)
+  // and group names that are only written in bold (eg. `**Graphics**`)
+  const headingMatch =
+    line.match(/^#{1,6}\s*([^#].*?)\s*#*$/) ||
+    line.match(/^\*\*([^*:]+?):?\*\*$/);
+  if (headingMatch) {
+    return `#### ${headingMatch[1].trim()}`;
+  }
+
+  // A bullet of `-`, `+` or `*` (but not the start of `**bold**` text)
+  const itemText = line.replace(/^(?:[-+]|\*(?!\*))\s*/, "");
+  const itemMatch =
+    // **Label:** value / **Label**: value / **Label** - value
+    itemText.match(/^\*\*([^*]+?)(?::\*\*|\*\*\s*[:\-–—])\s*(.+)$/) ||
+    // Label: value
+    itemText.match(/^([^*:|]+?):\s+(.+)$/) ||
+    // - Label - value (only when the line was written as a list item)
+    (itemText !== line ? itemText.match(/^([^*:|]+?)\s+[-–—]\s+(.+)$/) : null);
+  if (!itemMatch) return null;
+
+  const label = itemMatch[1].trim();
+  const value = itemMatch[2].trim();
+  // Long labels or labels with markup are more likely to be sentences or images than setting names
+  if (
+    !label ||
+    !value ||
+    /[:<>[\]`]/.test(label) ||
+    label.split(/\s+/).length > 6
+  ) {
+    return null;
+  }
+  return `- **${label}:** ${value}`;
+}
+
+/**
+ * Splits a markdown table row into its trimmed cells.
+ * @param {string} line - A trimmed line starting and ending with `|`.
+ * @returns {string[]} The cells of the row.
+ */
+function splitTableRow(line) {
+  return line
+    .replace(/^\||\|$/g, "")
+    .split("|")
+    .map((cell) => cell.trim());
+}
+
+/**
+ * Rewrites common formatting mistakes in an in-game settings section into the
+ * `#### Group` / `- **Label:** value` format accepted by `parseGameSettingsSection`.
+ *
+ * Two column markdown tables are converted into list items and their header row is dropped.
+ * Lines that cannot be repaired confidently are left unchanged so they still fail validation.
+ *
+ * @param {string|null} content - The section text.
+ * @returns {{content: string, repairs: {lineNumber: number, from: string, to: string}[]}}
+ *   The repaired section text and one entry per line that was rewritten (`to` is empty for removed lines).
+ */
+export function repairGameSettingsSection(content) {
+  const lines = (content || "").split(/\r?\n/);
+  const repairs = [];
+  const isTableRow = (line) => /^\|.*\|$/.test(line.trim());
+  const isTableSeparator = (line) => /^\|(\s*:?-+:?\s*\|)+$/.test(line.trim());
+
+  const repairedLines = [];
+  for (let index = 0; index < lines.length; index++) {
+    const trimmedLine = lines[index].trim();
+
+    // Convert whole tables, but only if every row has a label and a value
+    if (isTableRow(trimmedLine)) {
+      let end = index;
+      while (end < lines.length && isTableRow(lines[end])) end++;
+      const rows = lines.slice(index, end).map((line) => line.trim());
+      const hasHeader = rows.length > 1 && isTableSeparator(rows[1]);
+      const dataRows = rows.slice(hasHeader ? 2 : 0);
+      const items = dataRows.map((row) => {
+        const cells = splitTableRow(row);
+        return cells.length === 2 && cells[0] && cells[1]
+          ? repairGameSettingsLine(`- ${cells[0]}: ${cells[1]}`)
+          : null;
+      });
+      if (dataRows.length > 0 && items.every(Boolean)) {
+        rows.forEach((row, rowIndex) => {
+          const isDataRow = rowIndex >= rows.length - dataRows.length;
+          const to = isDataRow
+            ? items[rowIndex - (rows.length - dataRows.length)]
+            : "";
+          repairs.push({ lineNumber: index + rowIndex + 1, from: row, to });
+          if (to) repairedLines.push(to);
+        });
+      } else {
+        repairedLines.push(...lines.slice(index, end));
+      }
+      index = end - 1;
+      continue;
+    }
+
+    const { invalidLines } = parseGameSettingsSection(trimmedLine);
+    const repairedLine =
+      invalidLines.length > 0 ? repairGameSettingsLine(trimmedLine) : null;
+    if (repairedLine) {
+      repairs.push({
+        lineNumber: index + 1,
+        from: trimmedLine,
+        to: repairedLine,
+      });
+      repairedLines.push(repairedLine);
+    } else {
+      repairedLines.push(lines[index]);
+    }
+  }
+
+  return {
+    content: repairs.length > 0 ? repairedLines.join("\n") : content,
+    repairs,
+  };
+}
+
+/**
+ * Normalises a value for loose comparison (case and whitespace insensitive).
+ * @param {string|null} value - The value to normalise.
+ * @returns {string} The normalised value.
+ */
+function normaliseForMatch(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/**
+ * Calculates the Levenshtein edit distance between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of single character edits between the strings.
+ */
+export function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Resolves a value to an allowed value when it only differs in case, whitespace,
+ * or is a unique prefix (of at least 3 characters) of one allowed value.
+ * @param {string|null} value - The reported value.
+ * @param {string[]} allowedValues - The allowed values.
+ * @returns {string|null} The allowed value or null if it could not be resolved confidently.
+ */
+export function resolveEnumValue(value, allowedValues) {
+  const input = normaliseForMatch(value);
+  if (!input) return null;
+
+  const exact = allowedValues.find((a) => normaliseForMatch(a) === input);
+  if (exact) return exact;
+
+  if (input.length < 3) return null;
+  const prefixed = allowedValues.filter((a) =>
+    normaliseForMatch(a).startsWith(input)
+  );
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+/**
+ * Suggests the allowed value closest to a reported value.
+ * Allowed values contained in the reported value are preferred (eg. "Steam Deck OLED 512GB"
+ * suggests "Steam Deck OLED"), then the shortest allowed value containing the reported value
+ * (eg. "Proton" suggests "Steam Proton"), otherwise the value with the smallest edit distance.
+ * @param {string|null} value - The reported value.
+ * @param {string[]} allowedValues - The allowed values.
+ * @returns {string|null} The suggested value or null if nothing is close enough.
+ */
+export function suggestClosestValue(value, allowedValues) {
+  const input = normaliseForMatch(value);
+  if (!input) return null;
+
+  const contained = allowedValues
+    .filter((a) => {
+      const allowed = normaliseForMatch(a);
+      return allowed.length >= 3 && input.includes(allowed);
+    })
+    .sort((a, b) => b.length - a.length);
+  if (contained.length > 0) return contained[0];
+
+  const containing = allowedValues
+    .filter((a) => input.length >= 3 && normaliseForMatch(a).includes(input))
+    .sort((a, b) => a.length - b.length);
+  if (containing.length > 0) return containing[0];
+
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const allowed of allowedValues) {
+    const distance = levenshteinDistance(input, normaliseForMatch(allowed));
+    if (distance < closestDistance) {
+      closest = allowed;
+      closestDistance = distance;
+    }
+  }
+  const maxDistance = Math.max(2, Math.floor(input.length * 0.4));
+  return closestDistance <= maxDistance ? closest : null;
+}
+
+/**
+ * Formats a list of changed report values as markdown list items.
+ * @param {{field: string, from: string, to: string}[]} changes - The changed values.
+ * @returns {string[]} One markdown list item per change.
+ */
+export function formatValueChanges(changes) {
+  return changes.map(
+    (change) => `- **${change.field}:** \`${change.from}\` → \`${change.to}\``
+  );
+}
+
+/**
+ * Fetches every label defined in a repository.
+ * @param {object} octokit - An authenticated Octokit instance.
+ * @param {string} owner - Owner of the repository.
+ * @param {string} repo - Name of the repository.
+ * @returns {Promise<{name: string, color: string, description: string}[]>} The repository labels.
+ */
+export async function fetchRepoLabels(octokit, owner, repo) {
+  const perPage = 100;
+  let page = 1;
+  let allLabels = [];
+
+  while (true) {
+    const { data: labels } = await octokit.issues.listLabelsForRepo({
+      owner,
+      repo,
+      per_page: perPage,
+      page,
+    });
+    if (labels.length === 0) break;
+    allLabels = allLabels.concat(labels);
+    page += 1;
+  }
+
+  return allLabels.map((label) => ({
+    name: label.name,
+    color: label.color || "",
+    description: label.description || "",
+  }));
+}
+
 /**
  * Builds a reportData object from an issue body based on schema properties.
- * @param {string} body - The raw issue body.
+ * @param {string|object} body - The raw issue body or a parsed report document.
  * @param {object} schemaProperties - The `properties` object from the schema.
  * @returns {object} The report data object.
  */
 export function buildReportData(body, schemaProperties) {
-  const lines = body.split(/\r?\n/);
+  const doc = typeof body === "string" ? parseReportBody(body) : body;
   const reportData = {};
   for (const [key, value] of Object.entries(schemaProperties)) {
-    let extractedValue = extractHeadingValue(lines, key);
+    let extractedValue = getSectionContent(doc, key);
     // Skip adding to reportData if "_No response_"
-    if (extractedValue === "_No response_") {
+    if (isNoResponse(extractedValue)) {
       continue;
     }
     // Skip optional fields if they are missing but also not required
@@ -64,5 +577,16 @@ export function buildReportData(body, schemaProperties) {
     reportData[key] = extractedValue;
   }
 
+  // Add structured in-game settings (eg. settings.display["Graphics"])
+  const settings = {};
+  for (const [name, heading] of Object.entries(GAME_SETTINGS_SECTIONS)) {
+    if (typeof reportData[heading] === "string") {
+      settings[name] = parseGameSettingsSection(reportData[heading]).settings;
+    }
+  }
+  if (Object.keys(settings).length > 0) {
+    reportData.settings = settings;
+  }
+
   return reportData;
 }
@@ -0,0 +1,133 @@
+/**
+ * File: confirmations.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 3:13:18 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:40:45 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import { formatMessage } from "./messages.js";
+
+// Hidden marker storing the confirmations listed in the tally comment
+const confirmationsMarkerRegex =
+  /<!-- reportbot-confirmations:([A-Za-z0-9+/=]*) -->/;
+
+/**
+ * Finds the ReportBot comment that keeps the tally of community confirmations.
+ * @param {object[]} comments - The comments of the issue.
+ * @param {string} botLogin - The login ReportBot posts comments as.
+ * @returns {object|null} The tally comment or null if nobody has confirmed the report.
+ */
+export function findConfirmationsComment(comments, botLogin) {
+  return (
+    comments.find(
+      (comment) =>
+        comment.user?.login === botLogin &&
+        confirmationsMarkerRegex.test(comment.body || "")
+    ) || null
+  );
+}
+
+/**
+ * Reads the confirmations stored in a tally comment.
+ * @param {string|null} commentBody - The body of the tally comment.
+ * @returns {{user: string, userId: number|null, commentId: number, device: string|null,
+ *   os: string|null, confirmedAt: string}[]} The confirmations in the order they were made.
+ */
+export function readConfirmations(commentBody) {
+  const match = (commentBody || "").match(confirmationsMarkerRegex);
+  if (!match) return [];
+  try {
+    const confirmations = JSON.parse(
+      Buffer.from(match[1], "base64").toString("utf-8")
+    );
+    return Array.isArray(confirmations) ? confirmations : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Groups confirmations by device. Devices with the most confirmations come first
+ * and confirmations without a device come last.
+ * @param {object[]} confirmations - The confirmations (see readConfirmations).
+ * @returns {{device: string|null, confirmations: object[]}[]} The groups.
+ */
+export function groupConfirmationsByDevice(confirmations) {
+  const groups = new Map();
+  for (const confirmation of confirmations) {
+    const device = confirmation.device || null;
+    if (!groups.has(device)) groups.set(device, []);
+    groups.get(device).push(confirmation);
+  }
+  return [...groups.entries()]
+    .map(([device, list]) => ({ device, confirmations: list }))
+    .sort(
+      (a, b) =>
+        (a.device === null) - (b.device === null) ||
+        b.confirmations.length - a.confirmations.length ||
+        a.device.localeCompare(b.device)
+    );
+}
+
+/**
+ * Summarises the confirmations for webhook payloads and validation results.
+ * @param {object[]} confirmations - The confirmations (see readConfirmations).
+ * @returns {{count: number, devices: {device: string|null, count: number}[]}} The summary.
+ */
+export function summariseConfirmations(confirmations) {
+  return {
+    count: confirmations.length,
+    devices: groupConfirmationsByDevice(confirmations).map((group) => ({
+      device: group.device,
+      count: group.confirmations.length,
+    })),
+  };
+}
+
+// Write a value on one line and escape pipes so it cannot break out of its table cell
+function escapeTableCell(value) {
+  return String(value)
+    .replace(/\s*\r?\n\s*/g, " ")
+    .replace(/\|/g, "\\|");
+}
+
+/**
+ * Builds the body of the tally comment (without the ReportBot header).
+ * @param {string} language - The language code of the report.
+ * @param {object[]} confirmations - The confirmations (see readConfirmations).
+ * @returns {string} The comment body, ending with the hidden confirmations marker.
+ */
+export function buildConfirmationsComment(language, confirmations) {
+  // Logins are written in code spans so updating the tally does not mention everyone again
+  const formatConfirmation = ({ user, os }) =>
+    os ? `\`@${user}\` (${escapeTableCell(os)})` : `\`@${user}\``;
+  const rows = groupConfirmationsByDevice(confirmations).map(
+    ({ device, confirmations: list }) =>
+      `| ${
+        device
+          ? escapeTableCell(device)
+          : formatMessage(language, "reportBot.confirm.unknownDevice")
+      } | ${list.length} | ${list.map(formatConfirmation).join(", ")} |`
+  );
+  const marker = Buffer.from(JSON.stringify(confirmations), "utf-8").toString(
+    "base64"
+  );
+
+  return [
+    formatMessage(language, "reportBot.confirm.heading"),
+    "",
+    formatMessage(language, "reportBot.confirm.count", {
+      count: confirmations.length,
+    }),
+    "",
+    formatMessage(language, "reportBot.confirm.tableHeader"),
+    ...rows,
+    "",
+    formatMessage(language, "reportBot.confirm.howTo"),
+    "",
+    `<!-- reportbot-confirmations:${marker} -->`,
+  ].join("\n");
+}
@@ -0,0 +1,255 @@
+/**
+ * File: generate-report-config.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:08:14 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:05:34 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { getAvailableLanguages, REPORT_LANGUAGE_FIELD } from "./messages.js";
+import { getCommandLabels } from "./command-registry.js";
+
+// Generates the device, launcher and compatibility tool lists found in the
+// issue template, validation schema and labels from the config registries,
+// the ReportBot language list from the message catalogues and the ReportBot
+// command labels from the command registry.
+//
+// Usage:
+//   node generate-report-config.js          Rewrite the generated files
+//   node generate-report-config.js --check  Exit with an error if any generated file is out of date
+
+const scriptDir = path.dirname(new URL(import.meta.url).pathname);
+const configDir = path.resolve(scriptDir, "config");
+
+const hardwarePath = path.resolve(configDir, "hardware.json");
+const launchersPath = path.resolve(configDir, "launchers.json");
+const compatibilityToolsPath = path.resolve(
+  configDir,
+  "compatibility-tools.json"
+);
+const labelsPath = path.resolve(configDir, "labels.json");
+const schemaPath = path.resolve(configDir, "game-report-validation.json");
+const templatePath = path.resolve(
+  scriptDir,
+  "../ISSUE_TEMPLATE/GAME-REPORT.yml"
+);
+
+const DEVICE_LABEL_PREFIX = "DEVICE: ";
+const DEVICE_LABEL_COLOR = "FFFFFF";
+const LAUNCHER_LABEL_PREFIX = "LAUNCHER: ";
+const LAUNCHER_LABEL_COLOR = "1D76DB";
+const COMMUNITY_LABEL_PREFIX = "community:";
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+// Config JSON files are stored with 4 space indentation and no trailing newline
+function formatJson(data) {
+  return JSON.stringify(data, null, 4);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Quote a YAML scalar only when it contains characters that need it
+function yamlScalar(value) {
+  if (/^[A-Za-z0-9][A-Za-z0-9 ()/._+-]*$/.test(value)) {
+    return value;
+  }
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Builds the label entries for a registry.
+ * Entries sharing a label are merged. The label description is the regex used
+ * by update-issue-labels.js to match the report value to the label.
+ * @param {object[]} entries - Registry entries ({name, aliases, label, label_pattern}).
+ * @param {string} prefix - The label name prefix.
+ * @param {string} color - The label colour.
+ * @returns {object[]} The label entries sorted by name.
+ */
+function buildRegistryLabels(entries, prefix, color) {
+  const labels = new Map();
+  for (const entry of entries) {
+    const labelName = `${prefix}${entry.label || entry.name}`;
+    const pattern =
+      entry.label_pattern ||
+      `^(${[...(entry.aliases || []), entry.name]
+        .map(escapeRegex)
+        .join("|")})$`;
+
+    const existing = labels.get(labelName);
+    if (existing && existing.description !== pattern) {
+      throw new Error(
+        `Entries for label "${labelName}" must share the same "label_pattern".`
+      );
+    }
+    labels.set(labelName, { name: labelName, color, description: pattern });
+  }
+  return [...labels.values()].sort((a, b) =>
+    a.name.toLowerCase().localeCompare(b.name.toLowerCase())
+  );
+}
+
+// Replace all labels starting with the prefix with the generated labels, keeping their position
+function replaceLabelGroup(labels, prefix, generated) {
+  const firstIndex = labels.findIndex((l) => l.name.startsWith(prefix));
+  const remaining = labels.filter((l) => !l.name.startsWith(prefix));
+  const insertAt = firstIndex === -1 ? remaining.length : firstIndex;
+  remaining.splice(insertAt, 0, ...generated);
+  return remaining;
+}
+
+// Replace labels with the same name as a generated label in place and add the others at the end
+function upsertLabels(labels, generated) {
+  const byName = new Map(generated.map((l) => [l.name, l]));
+  const updated = labels.map((l) => byName.get(l.name) || l);
+  const existing = new Set(labels.map((l) => l.name));
+  return [...updated, ...generated.filter((l) => !existing.has(l.name))];
+}
+
+// Replace the options list of a dropdown in the issue template
+function replaceDropdownOptions(template, id, options) {
+  const lines = template.split("\n");
+  const idIndex = lines.findIndex((l) => l.trim() === `id: ${id}`);
+  if (idIndex === -1) {
+    throw new Error(`Dropdown "${id}" not found in the issue template.`);
+  }
+  const optionsIndex = lines.findIndex(
+    (l, i) => i > idIndex && l.trim() === "options:"
+  );
+  if (optionsIndex === -1) {
+    throw new Error(`Dropdown "${id}" has no options in the issue template.`);
+  }
+
+  const indent = `${lines[optionsIndex].match(/^\s*/)[0]}  `;
+  let endIndex = optionsIndex + 1;
+  while (endIndex < lines.length && lines[endIndex].startsWith(`${indent}- `)) {
+    endIndex++;
+  }
+
+  lines.splice(
+    optionsIndex + 1,
+    endIndex - optionsIndex - 1,
+    ...options.map((option) => `${indent}- ${yamlScalar(option)}`)
+  );
+  return lines.join("\n");
+}
+
+function setSchemaEnum(schema, property, values) {
+  if (!schema.properties[property]) {
+    throw new Error(`Property "${property}" not found in the schema.`);
+  }
+  schema.properties[property].enum = values;
+}
+
+/**
+ * Generates the contents of every file derived from the registries.
+ * @returns {{filePath: string, contents: string}[]} The generated files.
+ */
+export function generateReportConfig() {
+  const { devices } = readJson(hardwarePath);
+  const { launchers } = readJson(launchersPath);
+  const { compatibility_tools: compatibilityTools } = readJson(
+    compatibilityToolsPath
+  );
+
+  const names = (entries) => entries.map((e) => e.name);
+  const namesWithAliases = (entries) => [
+    ...names(entries),
+    ...entries.flatMap((e) => e.aliases || []),
+  ];
+
+  // Labels
+  let labels = readJson(labelsPath);
+  labels = replaceLabelGroup(
+    labels,
+    DEVICE_LABEL_PREFIX,
+    buildRegistryLabels(devices, DEVICE_LABEL_PREFIX, DEVICE_LABEL_COLOR)
+  );
+  labels = replaceLabelGroup(
+    labels,
+    LAUNCHER_LABEL_PREFIX,
+    buildRegistryLabels(launchers, LAUNCHER_LABEL_PREFIX, LAUNCHER_LABEL_COLOR)
+  );
+  // Community labels only exist for ReportBot commands, other command labels are kept where they are
+  const commandLabels = getCommandLabels().map(
+    ({ name, color, description }) => ({ name, color, description })
+  );
+  const isCommunityLabel = (l) => l.name.startsWith(COMMUNITY_LABEL_PREFIX);
+  labels = replaceLabelGroup(
+    labels,
+    COMMUNITY_LABEL_PREFIX,
+    commandLabels
+      .filter(isCommunityLabel)
+      .sort((a, b) => a.name.localeCompare(b.name))
+  );
+  labels = upsertLabels(
+    labels,
+    commandLabels.filter((l) => !isCommunityLabel(l))
+  );
+
+  // Validation schema (legacy aliases are still accepted)
+  const schema = readJson(schemaPath);
+  setSchemaEnum(schema, "Device", namesWithAliases(devices));
+  setSchemaEnum(schema, "Launcher", namesWithAliases(launchers));
+  setSchemaEnum(
+    schema,
+    "Steam Play Compatibility Tool Used",
+    namesWithAliases(compatibilityTools)
+  );
+  const languages = names(getAvailableLanguages());
+  setSchemaEnum(schema, REPORT_LANGUAGE_FIELD, languages);
+
+  // Issue template (only canonical names are offered)
+  let template = fs.readFileSync(templatePath, "utf-8");
+  template = replaceDropdownOptions(template, "device", names(devices));
+  template = replaceDropdownOptions(template, "launcher", names(launchers));
+  template = replaceDropdownOptions(
+    template,
+    "steam_play_compatibility_tool_used",
+    names(compatibilityTools)
+  );
+  template = replaceDropdownOptions(template, "reportbot_language", languages);
+
+  return [
+    { filePath: labelsPath, contents: formatJson(labels) },
+    { filePath: schemaPath, contents: formatJson(schema) },
+    { filePath: templatePath, contents: template },
+  ];
+}
+
+function run() {
+  const checkOnly = process.argv.slice(2).includes("--check");
+  const outdated = [];
+
+  for (const { filePath, contents } of generateReportConfig()) {
+    const relativePath = path.relative(process.cwd(), filePath);
+    if (fs.readFileSync(filePath, "utf-8") === contents) {
+      console.log(`Up to date: ${relativePath}`);
+      continue;
+    }
+    outdated.push(relativePath);
+    if (checkOnly) {
+      console.error(`Out of date: ${relativePath}`);
+    } else {
+      fs.writeFileSync(filePath, contents);
+      console.log(`Updated: ${relativePath}`);
+    }
+  }
+
+  if (checkOnly && outdated.length > 0) {
+    console.error(
+      "Generated report config is out of date. Run `node generate-report-config.js` and commit the changes."
+    );
+    process.exit(1);
+  }
+}
+
+run();
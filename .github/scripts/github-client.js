@@ -0,0 +1,45 @@
+/**
+ * File: github-client.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:12:29 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:12:29 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import { Octokit } from "@octokit/rest";
+import { graphql } from "@octokit/graphql";
+
+// The GitHub API used by the scripts can be changed with GITHUB_API_URL
+// (eg. to run the scripts against the offline stand-in in testing/).
+function apiBaseUrlOptions() {
+  const apiUrl = (process.env.GITHUB_API_URL || "").replace(/\/+$/, "");
+  return apiUrl ? { baseUrl: apiUrl } : {};
+}
+
+/**
+ * Creates an Octokit REST client.
+ * @param {string} [token] - The GitHub token. Defaults to GITHUB_TOKEN.
+ * @returns {Octokit} The REST client.
+ */
+export function createOctokit(token = process.env.GITHUB_TOKEN) {
+  return new Octokit({
+    auth: token,
+    ...apiBaseUrlOptions(),
+  });
+}
+
+/**
+ * Creates an authenticated GraphQL client.
+ * @param {string} [token] - The GitHub token. Defaults to GITHUB_TOKEN.
+ * @returns {Function} The GraphQL request function.
+ */
+export function createGraphql(token = process.env.GITHUB_TOKEN) {
+  return graphql.defaults({
+    headers: {
+      authorization: `token ${token}`,
+    },
+    ...apiBaseUrlOptions(),
+  });
+}
@@ -0,0 +1,126 @@
+/**
+ * File: hardware.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:06:18 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:09:52 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { findSection, getSectionText, setSectionContent } from "./common.js";
+
+const hardwareConfigPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/hardware.json"
+);
+
+let hardwareDevices = null;
+
+/**
+ * Loads the list of devices from config/hardware.json.
+ * The file is only read once per process.
+ * @returns {object[]} The device entries.
+ */
+export function loadHardwareDevices() {
+  if (!hardwareDevices) {
+    const config = JSON.parse(fs.readFileSync(hardwareConfigPath, "utf-8"));
+    hardwareDevices = config.devices || [];
+  }
+  return hardwareDevices;
+}
+
+/**
+ * Finds the hardware.json entry for a reported device name.
+ * Legacy names listed in a device's `aliases` are also matched. Names without the
+ * manufacturer prefix (eg. "Steam Deck OLED") are matched against the end of the
+ * full device name.
+ * @param {string|null} deviceName - The "Device" value from a report.
+ * @returns {object|null} The device entry or null if not found.
+ */
+export function findHardwareDevice(deviceName) {
+  const name = (deviceName || "").trim().toLowerCase();
+  if (!name) return null;
+
+  const devices = loadHardwareDevices();
+  return (
+    devices.find((d) =>
+      [d.name, ...(d.aliases || [])].some((n) => n.toLowerCase() === name)
+    ) ||
+    devices.find((d) => d.name.toLowerCase().endsWith(` ${name}`)) ||
+    null
+  );
+}
+
+/**
+ * Parses a "WIDTHxHEIGHT" resolution string.
+ * @param {string|null} value - The resolution string.
+ * @returns {{width: number, height: number}|null} The resolution or null if not a resolution.
+ */
+export function parseResolution(value) {
+  const match = String(value || "")
+    .trim()
+    .match(/^(\d+)\s*x\s*(\d+)$/i);
+  if (!match) return null;
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Estimates the play time on a full battery from the average power draw.
+ * @param {string|null} deviceName - The "Device" value from a report.
+ * @param {string|number|null} powerDraw - The "Average Battery Power Draw" in watts.
+ * @returns {{device: string, batterySizeWh: number, powerDrawW: number, minutes: number, text: string}|null}
+ *   The estimate or null if the device or power draw is unknown.
+ */
+export function estimateBatteryLife(deviceName, powerDraw) {
+  const device = findHardwareDevice(deviceName);
+  const watts = Number(powerDraw);
+  if (!device || !device.battery_size_wh || !(watts > 0)) return null;
+
+  const minutes = Math.round((device.battery_size_wh / watts) * 60);
+  return {
+    device: device.name,
+    batterySizeWh: device.battery_size_wh,
+    powerDrawW: watts,
+    minutes,
+    text: `${Math.floor(minutes / 60)}h ${minutes % 60}m`,
+  };
+}
+
+/**
+ * Returns the canonical hardware.json name for a legacy device name.
+ * Only names listed in a device's `aliases`, or the canonical name written with
+ * different casing, are resolved.
+ * @param {string|null} deviceName - The "Device" value from a report.
+ * @returns {string|null} The canonical name, or null if the value is not a legacy name.
+ */
+export function resolveDeviceAlias(deviceName) {
+  const value = (deviceName || "").trim();
+  const lower = value.toLowerCase();
+  if (!value) return null;
+
+  const device = loadHardwareDevices().find((d) =>
+    [d.name, ...(d.aliases || [])].some((n) => n.toLowerCase() === lower)
+  );
+  if (!device || device.name === value) return null;
+  return device.name;
+}
+
+/**
+ * Rewrites a legacy "Device" value in a report document to its canonical name.
+ * @param {object} doc - The report document (modified in place).
+ * @returns {{field: string, from: string, to: string}[]} The changes made.
+ */
+export function normaliseDeviceName(doc) {
+  const section = findSection(doc, "Device");
+  if (!section) return [];
+
+  const value = getSectionText(section);
+  const canonical = resolveDeviceAlias(value);
+  if (!canonical) return [];
+
+  setSectionContent(doc, section.heading, canonical);
+  return [{ field: "Device", from: value, to: canonical }];
+}
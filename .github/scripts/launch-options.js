@@ -0,0 +1,319 @@
+/**
+ * File: launch-options.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:25:00 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:42:48 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { suggestClosestValue } from "./common.js";
+import { findHardwareDevice, parseResolution } from "./hardware.js";
+import { DEFAULT_LANGUAGE, formatMessage } from "./messages.js";
+
+const launchOptionsConfigPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/launch-options.json"
+);
+
+const commandPlaceholder = "%command%";
+
+let launchOptionsCatalogue = null;
+
+/**
+ * Loads the known wrapper commands and environment variables from config/launch-options.json.
+ * The file is only read once per process.
+ * @returns {object} The catalogue with `wrappers`, `checked_variable_prefixes`
+ *   and `environment_variables`.
+ */
+export function loadLaunchOptionsCatalogue() {
+  if (!launchOptionsCatalogue) {
+    launchOptionsCatalogue = JSON.parse(
+      fs.readFileSync(launchOptionsConfigPath, "utf-8")
+    );
+  }
+  return launchOptionsCatalogue;
+}
+
+// Splits launch options into words the way a shell would (quotes and backslash escapes)
+function tokenise(value) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === "\\" && quote === '"' && i + 1 < value.length) {
+        current += value[++i];
+      } else {
+        current += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (current !== null) tokens.push(current);
+      current = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current = current ?? "";
+    } else if (char === "\\" && i + 1 < value.length) {
+      current = (current ?? "") + value[++i];
+    } else {
+      current = (current ?? "") + char;
+    }
+  }
+  if (current !== null) tokens.push(current);
+  return { tokens, unbalancedQuote: quote !== null };
+}
+
+function parseEnvironmentVariable(token) {
+  const match = token.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s);
+  return match ? { name: match[1], value: match[2] } : null;
+}
+
+function findWrapper(command) {
+  const name = command.split("/").pop();
+  return (
+    loadLaunchOptionsCatalogue().wrappers.find((w) => w.command === name) ||
+    null
+  );
+}
+
+// Splits the words before %command% into wrapper commands and their arguments
+function parseWrappers(tokens) {
+  const wrappers = [];
+  let current = null;
+  let expectValue = false;
+  for (const token of tokens) {
+    const wrapper = current ? findWrapper(current.command) : null;
+    if (current && token === "--") {
+      // gamescope and friends use "--" to mark the start of the wrapped command
+      current = null;
+      expectValue = false;
+    } else if (!current || (!expectValue && findWrapper(token))) {
+      current = { command: token, args: [] };
+      wrappers.push(current);
+      expectValue = false;
+    } else {
+      current.args.push(token);
+      expectValue =
+        !expectValue &&
+        !token.includes("=") &&
+        Boolean(wrapper && wrapper.value_options.includes(token));
+    }
+  }
+  return wrappers;
+}
+
+/**
+ * Parses a "Custom Launch Options" value into its parts.
+ * Environment variables are only read from the start of the options (or after `env`),
+ * as Steam passes them to the shell that runs `%command%`. Without `%command%` Steam
+ * appends the whole value to the game command line, so every word is a game argument.
+ * @param {string|null} value - The "Custom Launch Options" value from a report.
+ * @returns {{raw: string, env: {name: string, value: string}[], wrappers: {command: string, args: string[]}[], hasCommand: boolean, gameArgs: string[], unbalancedQuote: boolean}|null}
+ *   The parsed launch options or null if the value is empty.
+ */
+export function parseLaunchOptions(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  const { tokens, unbalancedQuote } = tokenise(raw);
+  const commandIndex = tokens.indexOf(commandPlaceholder);
+  const env = [];
+  let index = 0;
+  while (index < tokens.length && index !== commandIndex) {
+    const variable = parseEnvironmentVariable(tokens[index]);
+    if (!variable) break;
+    env.push(variable);
+    index++;
+  }
+
+  if (commandIndex === -1) {
+    return {
+      raw,
+      env,
+      wrappers: [],
+      hasCommand: false,
+      gameArgs: tokens,
+      unbalancedQuote,
+    };
+  }
+
+  const wrappers = parseWrappers(tokens.slice(index, commandIndex));
+  // Variables passed through `env` are applied the same as leading ones
+  for (const wrapper of wrappers.filter((w) => w.command === "env")) {
+    env.push(...wrapper.args.map(parseEnvironmentVariable).filter(Boolean));
+  }
+  return {
+    raw,
+    env,
+    wrappers,
+    hasCommand: true,
+    gameArgs: tokens.slice(commandIndex + 1),
+    unbalancedQuote,
+  };
+}
+
+// Returns the value of an option such as "-w 1280", "--nested-width 1280" or "--nested-width=1280"
+function getOptionValue(args, names) {
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      if (args[i] === name && i + 1 < args.length) return args[i + 1];
+      if (name.startsWith("--") && args[i].startsWith(`${name}=`)) {
+        return args[i].slice(name.length + 1);
+      }
+    }
+  }
+  return null;
+}
+
+// Warn about misspelled or wrongly cased PROTON_/DXVK_/VKD3D_ variables
+function lintEnvironmentVariable(name, language) {
+  const catalogue = loadLaunchOptionsCatalogue();
+  if (catalogue.environment_variables.includes(name)) return null;
+
+  // Only check names that start with (or close to) one of the checked prefixes
+  const segment = name.split("_")[0];
+  if (!name.includes("_") || segment.length < 4) return null;
+  const prefix = suggestClosestValue(
+    segment,
+    catalogue.checked_variable_prefixes.map((p) => p.replace(/_$/, ""))
+  );
+  if (!prefix) return null;
+
+  const suggestion = suggestClosestValue(
+    name,
+    catalogue.environment_variables.filter((v) => v.startsWith(`${prefix}_`))
+  );
+  const message = `Custom Launch Options: ${formatMessage(
+    language,
+    "checks.launchOptions.unknownVariable",
+    { name }
+  )}`;
+  if (suggestion) {
+    return `${message}. ${formatMessage(language, "checks.didYouMean", {
+      suggestion: `"${suggestion}"`,
+    })}`;
+  }
+  return `${message}. ${formatMessage(
+    language,
+    "checks.launchOptions.checkDocumentation",
+    { prefix }
+  )}`;
+}
+
+// Warn when the gamescope game resolution differs from the reported "Game Resolution"
+function lintGamescopeResolution(wrapper, reportData, language) {
+  const { width: widthOptions, height: heightOptions } = findWrapper(
+    wrapper.command
+  ).resolution_options;
+  const width = getOptionValue(wrapper.args, widthOptions);
+  const height = getOptionValue(wrapper.args, heightOptions);
+  if (!width || !height) return null;
+
+  const gameResolution = reportData["Game Resolution"];
+  let expected = parseResolution(gameResolution);
+  let description = formatMessage(
+    language,
+    "checks.launchOptions.gameResolution",
+    { resolution: gameResolution }
+  );
+  if (gameResolution === "Native") {
+    const device = findHardwareDevice(reportData["Device"]);
+    expected = device ? parseResolution(device.max_display_resolution) : null;
+    description = formatMessage(
+      language,
+      "checks.launchOptions.nativeResolution",
+      { resolution: device?.max_display_resolution, device: device?.name }
+    );
+  }
+  if (
+    !expected ||
+    (Number(width) === expected.width && Number(height) === expected.height)
+  ) {
+    return null;
+  }
+  return `Custom Launch Options: ${formatMessage(
+    language,
+    "checks.launchOptions.gamescopeResolution",
+    {
+      width,
+      height,
+      options: `${widthOptions[0]}/${heightOptions[0]}`,
+      description,
+    }
+  )}`;
+}
+
+/**
+ * Checks parsed launch options for common mistakes.
+ * @param {object|null} launchOptions - The result of `parseLaunchOptions`.
+ * @param {object} reportData - The report data object.
+ * @param {string} [language] - The language of the messages.
+ * @returns {string[]} Warning messages.
+ */
+export function lintLaunchOptions(
+  launchOptions,
+  reportData,
+  language = DEFAULT_LANGUAGE
+) {
+  if (!launchOptions) return [];
+
+  const warnings = [];
+  const addWarning = (key, values) =>
+    warnings.push(
+      `Custom Launch Options: ${formatMessage(language, key, values)}`
+    );
+  if (launchOptions.unbalancedQuote) {
+    addWarning("checks.launchOptions.unclosedQuote");
+  }
+
+  if (!launchOptions.hasCommand) {
+    const placeholder = launchOptions.gameArgs.find((token) =>
+      /^%?command%?$/i.test(token)
+    );
+    if (placeholder) {
+      addWarning("checks.launchOptions.commandSpelling", {
+        placeholder,
+        command: commandPlaceholder,
+      });
+    } else if (launchOptions.env.length > 0) {
+      const [{ name, value }] = launchOptions.env;
+      addWarning("checks.launchOptions.envWithoutCommand", {
+        command: commandPlaceholder,
+        example: `${name}=${value} ${commandPlaceholder}`,
+      });
+    } else {
+      const wrapper = launchOptions.gameArgs.find(findWrapper);
+      if (wrapper) {
+        addWarning("checks.launchOptions.wrapperAfterCommand", {
+          wrapper,
+          command: commandPlaceholder,
+          example: `${wrapper} ${commandPlaceholder}`,
+        });
+      }
+    }
+  } else if (launchOptions.gameArgs.includes(commandPlaceholder)) {
+    addWarning("checks.launchOptions.commandRepeated", {
+      command: commandPlaceholder,
+    });
+  }
+
+  for (const { name } of launchOptions.env) {
+    const warning = lintEnvironmentVariable(name, language);
+    if (warning) warnings.push(warning);
+  }
+
+  for (const wrapper of launchOptions.wrappers) {
+    if (findWrapper(wrapper.command)?.resolution_options) {
+      const warning = lintGamescopeResolution(wrapper, reportData, language);
+      if (warning) warnings.push(warning);
+    }
+  }
+
+  return warnings;
+}
@@ -4,17 +4,29 @@
  * File Created: Friday, 8th August 2025 12:30:32 pm
  * Author: Josh.5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Saturday, 8th November 2025 3:02:31 pm
+ * Last Modified: Monday, 19th October 2026 2:50:08 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
 import Ajv from "ajv/dist/2020.js";
 import addFormats from "ajv-formats";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
-import { buildReportData } from "./common.js";
+import { createOctokit } from "./github-client.js";
+import {
+  buildReportData,
+  getSectionRawContent,
+  isNoResponse,
+  parseReportBody,
+  serializeReportBody,
+  setSectionContent,
+} from "./common.js";
+import {
+  formatMessage,
+  getMessageVariants,
+  getReportLanguage,
+} from "./messages.js";
 
 dotenv.config();
 
@@ -24,9 +36,7 @@ const ghActionsBotUser =
   process.env.GH_ACTIONS_BOT_USER ?? "github-actions[bot]";
 console.log(`GH_ACTIONS_BOT_USER ${ghActionsBotUser}`);
 
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN,
-});
+const octokit = createOctokit();
 
 // No local AI client; OCR is handled by remote worker
 
@@ -118,56 +128,7 @@ function findImageUrls(markdown = "") {
 
 function hasEmpty(text) {
   const t = (text || "").trim();
-  return t.length === 0 || t === "_No response_";
-}
-
-function findSectionRange(body, heading) {
-  const lines = body.split(/\r?\n/);
-  const h = `### ${heading}`.toLowerCase();
-  const startIdx = lines.findIndex((l) => l.trim().toLowerCase() === h);
-  if (startIdx === -1) return null;
-
-  let endIdx = lines.length; // exclusive
-  for (let i = startIdx + 1; i < lines.length; i++) {
-    if (lines[i].trim().startsWith("### ")) {
-      endIdx = i;
-      break;
-    }
-  }
-  return { lines, startIdx, endIdx };
-}
-
-function getSectionContent(body, heading) {
-  const r = findSectionRange(body, heading);
-  if (!r) return null;
-  const { lines, startIdx, endIdx } = r;
-  return lines
-    .slice(startIdx + 1, endIdx)
-    .join("\n")
-    .trim();
-}
-
-function setSectionContent(body, heading, newContent) {
-  const lines = body.split(/\r?\n/);
-  const r = findSectionRange(body, heading);
-  if (!r) {
-    // create section at end
-    const block = [
-      `### ${heading}`,
-      "",
-      ...(newContent ? [newContent] : ["_No response_"]),
-      "",
-    ].join("\n");
-    return (lines.join("\n") + "\n\n" + block).trimEnd() + "\n";
-  }
-  const { startIdx, endIdx } = r;
-  const before = lines.slice(0, startIdx + 1); // include heading line
-  const after = lines.slice(endIdx);
-  const middle =
-    newContent && newContent.trim().length ? newContent : "_No response_";
-  return [...before, "", middle, "", ...after]
-    .join("\n")
-    .replace(/\n{3,}/g, "\n\n");
+  return t.length === 0 || isNoResponse(t);
 }
 
 function stripImages(markdown = "") {
@@ -206,9 +167,11 @@ function rewriteIssueBodyWithSettings(body, settings) {
   const graphicsSectionName = "Game Graphics Settings";
   const notesSectionName = "Additional Notes";
 
-  const displayCurrent = getSectionContent(body, displaySectionName) ?? "";
-  const graphicsCurrent = getSectionContent(body, graphicsSectionName) ?? "";
-  const notesCurrent = getSectionContent(body, notesSectionName) ?? "";
+  const report = parseReportBody(body);
+  const displayCurrent = getSectionRawContent(report, displaySectionName) ?? "";
+  const graphicsCurrent =
+    getSectionRawContent(report, graphicsSectionName) ?? "";
+  const notesCurrent = getSectionRawContent(report, notesSectionName) ?? "";
 
   // Strip images from Display/Graphics
   const { cleaned: displayNoImgs, images: displayImages } =
@@ -232,8 +195,7 @@ function rewriteIssueBodyWithSettings(body, settings) {
   const newGraphics = generateReportSectionMarkdown(newGraphicsRaw);
 
   // Additional Notes — preserve unless exactly "_No response_"
-  const baseNotes =
-    notesCurrent.trim() === "_No response_" ? "" : notesCurrent.trim();
+  const baseNotes = isNoResponse(notesCurrent) ? "" : notesCurrent.trim();
 
   const movedImgs = uniqBy(
     [...displayImages, ...graphicsImages],
@@ -248,12 +210,11 @@ function rewriteIssueBodyWithSettings(body, settings) {
   const newNotes = generateReportSectionMarkdown(newNotesRaw);
 
   // Write back
-  let out = body;
-  out = setSectionContent(out, displaySectionName, newDisplay);
-  out = setSectionContent(out, graphicsSectionName, newGraphics);
-  out = setSectionContent(out, notesSectionName, newNotes);
+  setSectionContent(report, displaySectionName, newDisplay);
+  setSectionContent(report, graphicsSectionName, newGraphics);
+  setSectionContent(report, notesSectionName, newNotes);
 
-  return { body: out, movedCount: movedImgs.length };
+  return { body: serializeReportBody(report), movedCount: movedImgs.length };
 }
 
 // Post comment prompting user to fix issue
@@ -306,7 +267,8 @@ async function postSuggestedSettingsComment(
   owner,
   repo,
   issueNumber,
-  settings
+  settings,
+  language
 ) {
   const displayContent = generateReportSectionMarkdown(
     settings.game_display_settings
@@ -316,22 +278,18 @@ async function postSuggestedSettingsComment(
   );
 
   const commentBody =
-    `**Settings Read From Screenshots**\n\n` +
-    `We automatically read the text from your screenshots and filled in **Game Display Settings** and **Game Graphics Settings** below. These values were added to your report to save you time.\n\n` +
-    `All uploaded images have been moved to the end of the **Additional Notes** section to keep the settings sections clean.\n\n` +
+    `${formatMessage(language, "ocr.header")}\n\n` +
+    `${formatMessage(language, "ocr.intro")}\n\n` +
     "```markdown\n" +
     `### Game Display Settings\n\n` +
     `${displayContent}\n\n` +
     `### Game Graphics Settings\n\n` +
     `${graphicsContent}\n` +
     "```\n\n" +
-    `> [!WARNING]\n` +
-    `> These settings were automatically read from your screenshots using text recognition. They may contain errors or omissions.\n` +
-    `> Please compare them carefully against your original images and make any necessary corrections.\n\n` +
-    `> [!TIP]\n` +
-    `> **To confirm or edit these values, you must make a real change to the issue body** (saving without changes does not trigger an update, and comments do not count).\n` +
-    `> Recommended: open **Edit**, add an additional empty space or line under **Additional Notes** (or adjust any value), then click **Save**.\n` +
-    `> After a human edit is saved, this comment and the **${ocrGeneratedContentLabel}** label will be removed automatically to indicate the report has been reviewed.\n`;
+    `${formatMessage(language, "ocr.warning")}\n\n` +
+    `${formatMessage(language, "ocr.tip", {
+      label: ocrGeneratedContentLabel,
+    })}\n`;
 
   if (dryRun) {
     console.log(
@@ -357,10 +315,11 @@ async function removeSuggestedSettingsComment(owner, repo, issueNumber) {
     issue_number: issueNumber,
   });
 
+  const headers = getMessageVariants("ocr.header");
   const botComments = comments.data.filter(
     (comment) =>
       comment.user.login === ghActionsBotUser &&
-      comment.body.includes("**Settings Read From Screenshots**")
+      headers.some((header) => comment.body.includes(header))
   );
 
   for (const comment of botComments) {
@@ -490,7 +449,13 @@ async function processIssue(owner, repo, issue) {
     await addOcrGeneratedContentLabel(owner, repo, issue.number);
   }
   // Post a comment on the issue with the suggested settings
-  await postSuggestedSettingsComment(owner, repo, issue.number, settings);
+  await postSuggestedSettingsComment(
+    owner,
+    repo,
+    issue.number,
+    settings,
+    getReportLanguage(updatedBody)
+  );
 
   console.log(`Image management complete for issue #${issue.number}`);
 }
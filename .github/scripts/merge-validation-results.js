@@ -0,0 +1,86 @@
+/**
+ * File: merge-validation-results.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:34:16 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:15:25 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import * as core from "@actions/core";
+import fs from "fs";
+import path from "path";
+
+// Merges the per-issue results written by check-report-for-missing-data.js
+// into a single JSON report.
+//
+// Usage:
+//   node merge-validation-results.js [output file]
+//
+// The results are read from VALIDATION_RESULTS_DIR (default "validation-results")
+// and written to "validation-report.json" unless another output file is given.
+
+function readValidationResults(resultsDir) {
+  if (!fs.existsSync(resultsDir)) return [];
+  return fs
+    .readdirSync(resultsDir)
+    .filter((file) => /^issue-\d+\.json$/.test(file))
+    .map((file) =>
+      JSON.parse(fs.readFileSync(path.join(resultsDir, file), "utf-8"))
+    )
+    .sort((a, b) => a.issueNumber - b.issueNumber);
+}
+
+// Count the valid reports per quality label
+function countQualityLabels(issues) {
+  const counts = {};
+  for (const { quality } of issues) {
+    if (quality) counts[quality.label] = (counts[quality.label] || 0) + 1;
+  }
+  return counts;
+}
+
+async function main() {
+  const resultsDir = process.env.VALIDATION_RESULTS_DIR || "validation-results";
+  const reportPath = path.resolve(process.argv[2] || "validation-report.json");
+
+  const issues = readValidationResults(resultsDir);
+  const countResults = (severity) =>
+    issues.reduce(
+      (count, issue) =>
+        count + issue.results.filter((r) => r.severity === severity).length,
+      0
+    );
+  const summary = {
+    issues: issues.length,
+    valid: issues.filter((issue) => issue.valid).length,
+    invalid: issues.filter((issue) => !issue.valid).length,
+    errors: countResults("error"),
+    warnings: countResults("warning"),
+    quality: countQualityLabels(issues),
+    confirmations: issues.reduce(
+      (count, issue) => count + (issue.confirmations?.count || 0),
+      0
+    ),
+  };
+
+  fs.writeFileSync(
+    reportPath,
+    JSON.stringify(
+      { generatedAt: new Date().toISOString(), summary, issues },
+      null,
+      4
+    )
+  );
+  core.setOutput("validation_report_path", reportPath);
+  core.setOutput("validation_summary", JSON.stringify(summary));
+  console.log(
+    `Merged the validation results of ${summary.issues} issue(s) into ${reportPath}: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.errors} error(s), ${summary.warnings} warning(s).`
+  );
+}
+
+main().catch((error) => {
+  console.error("Error in script execution:", error);
+  process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * File: messages.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:43:21 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:43:21 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { getSectionContent, isNoResponse, parseReportBody } from "./common.js";
+
+const messagesDir = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/messages"
+);
+
+/**
+ * The language used when a report has no language or a message has no translation.
+ */
+export const DEFAULT_LANGUAGE = "en";
+
+/**
+ * The report section holding the language ReportBot uses on the report.
+ */
+export const REPORT_LANGUAGE_FIELD = "ReportBot Language";
+
+let messageCatalogues = null;
+
+/**
+ * Loads the message catalogues from config/messages/<code>.json.
+ * The files are only read once per process.
+ * @returns {Object<string, {code: string, name: string, messages: Object<string, string|string[]>}>}
+ *   The catalogues keyed by language code, with the default language first.
+ */
+export function loadMessageCatalogues() {
+  if (!messageCatalogues) {
+    const catalogues = fs
+      .readdirSync(messagesDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) =>
+        JSON.parse(fs.readFileSync(path.join(messagesDir, file), "utf-8"))
+      )
+      .sort((a, b) =>
+        a.code === DEFAULT_LANGUAGE
+          ? -1
+          : b.code === DEFAULT_LANGUAGE
+          ? 1
+          : a.code.localeCompare(b.code)
+      );
+    messageCatalogues = Object.fromEntries(
+      catalogues.map((catalogue) => [catalogue.code, catalogue])
+    );
+  }
+  return messageCatalogues;
+}
+
+/**
+ * Lists the languages that have a message catalogue.
+ * @returns {{code: string, name: string}[]} The languages, with the default language first.
+ */
+export function getAvailableLanguages() {
+  return Object.values(loadMessageCatalogues()).map(({ code, name }) => ({
+    code,
+    name,
+  }));
+}
+
+/**
+ * Formats the available languages for a comment, eg. "`en` (English), `de` (Deutsch)".
+ * @returns {string} The formatted list.
+ */
+export function formatAvailableLanguages() {
+  return getAvailableLanguages()
+    .map(({ code, name }) => `\`${code}\` (${name})`)
+    .join(", ");
+}
+
+/**
+ * Resolves a language code (eg. "de" or "de-AT") or language name (eg. "Deutsch")
+ * to the code of an available message catalogue.
+ * @param {string|null} value - The language code or name.
+ * @returns {string|null} The language code or null if there is no catalogue for it.
+ */
+export function resolveLanguage(value) {
+  const input = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (!input) return null;
+
+  const languages = getAvailableLanguages();
+  const match =
+    languages.find(
+      ({ code, name }) =>
+        code.toLowerCase() === input || name.toLowerCase() === input
+    ) ||
+    languages.find(({ code }) => code.toLowerCase() === input.split(/[-_]/)[0]);
+  return match ? match.code : null;
+}
+
+/**
+ * Returns the language ReportBot should use on a report, read from its
+ * "ReportBot Language" section. Falls back to the default language.
+ * @param {string|object|null} report - The raw issue body or a parsed report document.
+ * @returns {string} The language code.
+ */
+export function getReportLanguage(report) {
+  const doc =
+    report && typeof report === "object" ? report : parseReportBody(report);
+  const value = getSectionContent(doc, REPORT_LANGUAGE_FIELD);
+  return (!isNoResponse(value) && resolveLanguage(value)) || DEFAULT_LANGUAGE;
+}
+
+// Read a message from a catalogue. Multi-line messages are stored as an array of lines.
+function readMessage(language, key) {
+  const message = loadMessageCatalogues()[language]?.messages[key];
+  if (message === undefined) return undefined;
+  return Array.isArray(message) ? message.join("\n") : message;
+}
+
+/**
+ * Formats a message from the catalogue of a language.
+ * Messages missing from the catalogue fall back to the default language.
+ * Template variables are written as `{name}` in the message.
+ * @param {string} language - The language code.
+ * @param {string} key - The message key (eg. "validation.header").
+ * @param {Object<string, string|number>} [variables] - The template variables.
+ * @returns {string} The formatted message.
+ */
+export function formatMessage(language, key, variables = {}) {
+  const message =
+    readMessage(language, key) ?? readMessage(DEFAULT_LANGUAGE, key);
+  if (message === undefined) {
+    throw new Error(`Message "${key}" not found in the message catalogue.`);
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in variables ? String(variables[name]) : placeholder
+  );
+}
+
+/**
+ * Returns a message in every available language.
+ * Used to find bot-managed comments whichever language they were posted in.
+ * @param {string} key - The message key.
+ * @returns {string[]} The unique translations of the message.
+ */
+export function getMessageVariants(key) {
+  return [
+    ...new Set(
+      Object.keys(loadMessageCatalogues())
+        .map((language) => readMessage(language, key))
+        .filter((message) => message !== undefined)
+    ),
+  ];
+}
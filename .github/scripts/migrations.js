@@ -0,0 +1,187 @@
+/**
+ * File: migrations.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:31:21 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:53:37 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  findSection,
+  getSectionText,
+  insertSection,
+  setSectionContent,
+} from "./common.js";
+
+const schemaPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/game-report-validation.json"
+);
+
+// Hidden marker at the top of a report body recording the template version it follows
+const schemaVersionMarkerRegex = /<!-- report-schema-version: (\d+) -->/;
+
+// Section headings used by older versions of the report template
+const renamedSectionHeadings = {
+  "SteamOS Version": "OS Version",
+  "Proton Version": "Compatibility Tool Version",
+  "Launch Options": "Custom Launch Options",
+};
+
+// Dropdown values used by older versions of the report template
+const renamedEnumValues = {
+  Launcher: {
+    Heroic: "Heroic Games Launcher",
+  },
+  "Steam Play Compatibility Tool Used": {
+    Proton: "Steam Proton",
+    "GE-Proton": "Glorious Eggroll Proton (GE)",
+    "Proton GE": "Glorious Eggroll Proton (GE)",
+  },
+};
+
+// Rename the section headings listed in renamedSectionHeadings
+function renameSectionHeadings(doc) {
+  const changes = [];
+  for (const [from, to] of Object.entries(renamedSectionHeadings)) {
+    const section = findSection(doc, from);
+    if (!section || findSection(doc, to)) continue;
+    section.heading = to;
+    section.headingRaw = section.headingRaw.replace(
+      /^(\s*###\s+).*?(\r?\n)?$/,
+      `$1${to}$2`
+    );
+    changes.push({ field: "Section", from, to });
+  }
+  return changes;
+}
+
+// Rename the dropdown values listed in renamedEnumValues
+function renameEnumValues(doc) {
+  const changes = [];
+  for (const [field, renames] of Object.entries(renamedEnumValues)) {
+    const section = findSection(doc, field);
+    const value = section ? getSectionText(section) : null;
+    if (!value || !renames[value]) continue;
+    setSectionContent(doc, section.heading, renames[value]);
+    changes.push({ field, from: value, to: renames[value] });
+  }
+  return changes;
+}
+
+// Optional sections that were added to the template after it was first published.
+// Other optional sections (eg. "ReportBot Language") are not back-filled, as they can
+// be left out of a report without it following an older template.
+const addedTemplateSections = ["Custom Launch Options", "Performance Rating"];
+
+// Add the template sections listed in addedTemplateSections that are missing from the report
+function addMissingOptionalSections(doc) {
+  const schema = JSON.parse(fs.readFileSync(schemaPath, "utf-8"));
+  const headings = Object.keys(schema.properties);
+  const changes = [];
+  headings.forEach((heading, index) => {
+    if (!addedTemplateSections.includes(heading) || findSection(doc, heading)) {
+      return;
+    }
+    const nextHeading = headings
+      .slice(index + 1)
+      .find((next) => findSection(doc, next));
+    insertSection(doc, heading, null, nextHeading);
+    changes.push({ field: heading, from: "(missing)", to: "_No response_" });
+  });
+  return changes;
+}
+
+/**
+ * The migrations that upgrade a report body to the current template, in order.
+ * Each migration upgrades a report to its `version` and returns the changes it
+ * made. Migrations must leave reports that are already up to date untouched, as
+ * reports without a version marker are run through all of them.
+ * Values that can change at any time, such as the device names in hardware.json,
+ * are not migrations (see normaliseDeviceName in hardware.js).
+ */
+export const REPORT_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Rename section headings from older report templates",
+    migrate: renameSectionHeadings,
+  },
+  {
+    version: 2,
+    description: "Rename dropdown values from older report templates",
+    migrate: renameEnumValues,
+  },
+  {
+    version: 3,
+    description: "Add optional sections that were added to the report template",
+    migrate: addMissingOptionalSections,
+  },
+];
+
+/**
+ * The template version a fully migrated report follows.
+ */
+export const CURRENT_SCHEMA_VERSION =
+  REPORT_MIGRATIONS[REPORT_MIGRATIONS.length - 1].version;
+
+/**
+ * Reads the template version from the marker at the top of a report.
+ * @param {object} doc - The report document.
+ * @returns {number} The version, or 0 if the report has no marker.
+ */
+export function getReportSchemaVersion(doc) {
+  const match = doc.preamble.match(schemaVersionMarkerRegex);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Writes the template version marker at the top of a report.
+ * @param {object} doc - The report document (modified in place).
+ * @param {number} version - The template version.
+ * @returns {object} The same report document.
+ */
+export function setReportSchemaVersion(doc, version) {
+  const marker = `<!-- report-schema-version: ${version} -->`;
+  if (schemaVersionMarkerRegex.test(doc.preamble)) {
+    doc.preamble = doc.preamble.replace(schemaVersionMarkerRegex, marker);
+  } else {
+    doc.preamble = `${marker}${doc.eol}${doc.eol}${doc.preamble}`;
+  }
+  return doc;
+}
+
+/**
+ * Upgrades a report document to the current template version.
+ * Only the migrations newer than the report's version marker are run. The marker is
+ * only written when a migration changed the report, so reports that already follow
+ * the current template are left as they are.
+ * @param {object} doc - The report document (modified in place).
+ * @returns {{fromVersion: number, toVersion: number, changed: boolean, steps: {version: number, description: string, changes: {field: string, from: string, to: string}[]}[]}}
+ *   The versions, whether the report was changed and the migrations that were run,
+ *   with the changes each one made.
+ */
+export function migrateReport(doc) {
+  const fromVersion = getReportSchemaVersion(doc);
+  const steps = REPORT_MIGRATIONS.filter(
+    (migration) => migration.version > fromVersion
+  ).map((migration) => ({
+    version: migration.version,
+    description: migration.description,
+    changes: migration.migrate(doc),
+  }));
+
+  const changed = steps.some((step) => step.changes.length > 0);
+  if (changed) {
+    setReportSchemaVersion(doc, CURRENT_SCHEMA_VERSION);
+  }
+  return {
+    fromVersion,
+    toVersion: changed ? CURRENT_SCHEMA_VERSION : fromVersion,
+    changed,
+    steps,
+  };
+}
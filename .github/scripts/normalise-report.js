@@ -0,0 +1,194 @@
+/**
+ * File: normalise-report.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:09:47 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:31:58 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import dotenv from "dotenv";
+import { createOctokit } from "./github-client.js";
+import {
+  formatValueChanges,
+  parseReportBody,
+  serializeReportBody,
+} from "./common.js";
+import { normaliseDeviceName } from "./hardware.js";
+import { migrateReport } from "./migrations.js";
+import { formatMessage, getReportLanguage } from "./messages.js";
+
+dotenv.config();
+
+const dryRun = process.env.DRY_RUN_MODE === "true";
+console.log(dryRun ? "DRY_RUN_MODE enabled" : "DRY_RUN_MODE disabled");
+
+const octokit = createOctokit();
+
+// Post a comment recording each migration that rewrote the report body
+async function postMigrationComment(
+  owner,
+  repo,
+  issueNumber,
+  migration,
+  language
+) {
+  const commentBody = [
+    formatMessage(language, "migration.header"),
+    "",
+    formatMessage(language, "migration.intro", {
+      fromVersion: migration.fromVersion,
+      toVersion: migration.toVersion,
+    }),
+    "",
+    ...migration.steps
+      .filter((step) => step.changes.length > 0)
+      .flatMap((step) => [
+        `**${step.version}. ${step.description}**`,
+        ...formatValueChanges(step.changes),
+        "",
+      ]),
+    formatMessage(language, "corrections.noActionRequired"),
+  ].join("\n");
+
+  if (dryRun) {
+    console.log(
+      `DRY RUN: would post migration comment on issue #${issueNumber}:`
+    );
+    console.log(commentBody);
+    return;
+  }
+  await octokit.issues.createComment({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body: commentBody,
+  });
+  console.log(`Posted migration comment on issue #${issueNumber}`);
+}
+
+// Post a comment recording the values that were rewritten outside of a migration
+async function postCorrectionsComment(
+  owner,
+  repo,
+  issueNumber,
+  changes,
+  language
+) {
+  const commentBody = [
+    formatMessage(language, "corrections.header"),
+    "",
+    formatMessage(language, "corrections.intro"),
+    "",
+    ...formatValueChanges(changes),
+    "",
+    formatMessage(language, "corrections.noActionRequired"),
+  ].join("\n");
+
+  if (dryRun) {
+    console.log(
+      `DRY RUN: would post corrections comment on issue #${issueNumber}:`
+    );
+    console.log(commentBody);
+    return;
+  }
+  await octokit.issues.createComment({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body: commentBody,
+  });
+  console.log(`Posted corrections comment on issue #${issueNumber}`);
+}
+
+async function processIssue(owner, repo, issue) {
+  const report = parseReportBody(issue.body || "");
+
+  // Rewrite legacy device names to the canonical hardware.json name. Aliases can be
+  // added at any time, so this runs whatever template version the report follows.
+  const deviceChanges = normaliseDeviceName(report);
+
+  // Upgrade reports written for an older template to the current version
+  const migration = migrateReport(report);
+  if (!migration.changed && deviceChanges.length === 0) {
+    console.log(`Issue #${issue.number} does not need to be updated.`);
+    return;
+  }
+
+  deviceChanges.forEach((change) =>
+    console.log(
+      `Normalised ${change.field} on issue #${issue.number}: "${change.from}" -> "${change.to}"`
+    )
+  );
+  migration.steps.forEach((step) => {
+    console.log(
+      `Migration ${step.version} (${step.description}) on issue #${issue.number}: ${step.changes.length} change(s)`
+    );
+    step.changes.forEach((change) =>
+      console.log(`  ${change.field}: "${change.from}" -> "${change.to}"`)
+    );
+  });
+
+  const updatedBody = serializeReportBody(report);
+  if (dryRun) {
+    console.log(`DRY RUN: would update issue #${issue.number} body:`);
+    console.log(updatedBody);
+  } else {
+    await octokit.issues.update({
+      owner,
+      repo,
+      issue_number: issue.number,
+      body: updatedBody,
+    });
+    console.log(`Updated issue #${issue.number} body.`);
+  }
+
+  const language = getReportLanguage(report);
+  if (deviceChanges.length > 0) {
+    await postCorrectionsComment(
+      owner,
+      repo,
+      issue.number,
+      deviceChanges,
+      language
+    );
+  }
+  if (migration.changed) {
+    await postMigrationComment(owner, repo, issue.number, migration, language);
+  }
+}
+
+async function run() {
+  const issueNumber = parseInt(process.env.ISSUE_NUMBER, 10);
+  const owner = process.env.REPO_OWNER;
+  const repo = process.env.REPO_NAME;
+
+  if (!issueNumber || !owner || !repo) {
+    console.error("Missing environment variables.");
+    process.exit(1);
+  }
+
+  const { data: issue } = await octokit.issues.get({
+    owner,
+    repo,
+    issue_number: issueNumber,
+  });
+
+  if (issue.pull_request) {
+    console.log("Skipping pull request.");
+    process.exit(0);
+  }
+
+  if (!issue.body) {
+    console.log("Issue body is empty.");
+    process.exit(0);
+  }
+
+  await processIssue(owner, repo, issue);
+}
+
+run().catch((error) => {
+  console.error("Error in script execution:", error);
+  process.exit(1);
+});
@@ -0,0 +1,180 @@
+/**
+ * File: quality.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:51:45 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:51:53 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  GAME_SETTINGS_SECTIONS,
+  getSectionContent,
+  isNoResponse,
+  parseGameSettingsSection,
+  parseReportBody,
+  serializeReportBody,
+} from "./common.js";
+import { REPORT_LANGUAGE_FIELD } from "./messages.js";
+
+const schemaPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/game-report-validation.json"
+);
+
+// Prefix of the labels showing the quality level of a report
+export const QUALITY_LABEL_PREFIX = "quality:";
+
+// Quality levels from the highest minimum score down
+export const QUALITY_LEVELS = [
+  { label: "quality:high", minScore: 80 },
+  { label: "quality:medium", minScore: 50 },
+  { label: "quality:low", minScore: 0 },
+];
+
+// Points given for each part of a report (these add up to 100)
+const criteriaPoints = {
+  optionalFields: 30,
+  structuredSettings: 20,
+  screenshots: 10,
+  powerDraw: 15,
+  summary: 25,
+};
+
+// Points taken off for each community feedback label on the report
+const communityLabelPenalty = 10;
+
+// Optional fields that are scored by their own criterion or are not report details
+const excludedOptionalFields = [
+  "Average Battery Power Draw",
+  GAME_SETTINGS_SECTIONS.graphics,
+  REPORT_LANGUAGE_FIELD,
+];
+
+let optionalFields = null;
+
+/**
+ * Lists the optional report fields counted by the quality score.
+ * The schema is only read once per process.
+ * @returns {string[]} The field names in schema order.
+ */
+export function getScoredOptionalFields() {
+  if (!optionalFields) {
+    const schema = JSON.parse(fs.readFileSync(schemaPath, "utf-8"));
+    optionalFields = Object.keys(schema.properties).filter(
+      (field) =>
+        !(schema.required || []).includes(field) &&
+        !excludedOptionalFields.includes(field)
+    );
+  }
+  return optionalFields;
+}
+
+// Dropdown options the issue template selects by default that mean no value was given.
+// Other dropdown defaults (eg. "Off" or "Auto") are settings the game was played with.
+const placeholderOptions = ["Unknown", "Unrated"];
+
+// Read a section value, treating "_No response_" and placeholder options as empty
+function getFilledValue(report, field) {
+  const value = getSectionContent(report, field);
+  const text = isNoResponse(value) ? "" : (value || "").trim();
+  return placeholderOptions.includes(text) ? "" : text;
+}
+
+// True if a settings section lists at least one setting and nothing else
+function hasStructuredSettings(report, section) {
+  const { settings, invalidLines } = parseGameSettingsSection(
+    getFilledValue(report, section)
+  );
+  return (
+    invalidLines.length === 0 &&
+    Object.values(settings).some((entries) => entries.length > 0)
+  );
+}
+
+// True if the report body contains a markdown or HTML image
+function hasScreenshots(body) {
+  return /!\[[^\]]*]\([^)\s]+|<img[^>]*\bsrc=/i.test(body);
+}
+
+// A summary needs a few words that say more than the name of the game
+function isMeaningfulSummary(summary, gameName) {
+  const text = summary.replace(/\s+/g, " ").trim();
+  const words = text.split(" ").filter((word) => /\w/.test(word));
+  return (
+    words.length >= 4 &&
+    text.length >= 20 &&
+    text.toLowerCase() !== gameName.trim().toLowerCase()
+  );
+}
+
+/**
+ * Computes the quality score of a report.
+ * Points are given for filled optional fields, structured in-game settings,
+ * screenshots, a battery power draw and a meaningful summary. Each community
+ * feedback label on the report takes points off.
+ * @param {string|object} body - The issue body or a document from parseReportBody.
+ * @param {(string|{name: string})[]} [labels=[]] - The labels on the issue.
+ * @returns {{score: number, label: string, criteria: {name: string, points: number, maxPoints: number}[],
+ *   missingFields: string[], communityLabels: string[], improvements: string[]}}
+ *   The score (0-100), the quality label, the points of each criterion and the names of
+ *   the criteria that could be improved (including "communityFeedback").
+ */
+export function computeReportQuality(body, labels = []) {
+  const report = typeof body === "string" ? parseReportBody(body) : body;
+  const fields = getScoredOptionalFields();
+  const missingFields = fields.filter(
+    (field) => !getFilledValue(report, field)
+  );
+  const structuredSections = Object.values(GAME_SETTINGS_SECTIONS).filter(
+    (section) => hasStructuredSettings(report, section)
+  );
+
+  const earned = {
+    optionalFields:
+      (fields.length - missingFields.length) / Math.max(fields.length, 1),
+    structuredSettings:
+      structuredSections.length / Object.values(GAME_SETTINGS_SECTIONS).length,
+    screenshots: hasScreenshots(serializeReportBody(report)) ? 1 : 0,
+    powerDraw: getFilledValue(report, "Average Battery Power Draw") ? 1 : 0,
+    summary: isMeaningfulSummary(
+      getFilledValue(report, "Summary"),
+      getFilledValue(report, "Game Name")
+    )
+      ? 1
+      : 0,
+  };
+  const criteria = Object.entries(criteriaPoints).map(([name, maxPoints]) => ({
+    name,
+    points: Math.round(earned[name] * maxPoints),
+    maxPoints,
+  }));
+
+  const communityLabels = labels
+    .map((label) => label.name || label)
+    .filter((name) => name.startsWith("community:"));
+
+  const score = Math.max(
+    0,
+    criteria.reduce((total, criterion) => total + criterion.points, 0) -
+      communityLabels.length * communityLabelPenalty
+  );
+  const improvements = criteria
+    .filter((criterion) => criterion.points < criterion.maxPoints)
+    .map((criterion) => criterion.name);
+  if (communityLabels.length > 0) {
+    improvements.push("communityFeedback");
+  }
+
+  return {
+    score,
+    label: QUALITY_LEVELS.find((level) => score >= level.minScore).label,
+    criteria,
+    missingFields,
+    communityLabels,
+    improvements,
+  };
+}
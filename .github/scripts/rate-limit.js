@@ -4,19 +4,18 @@
  * File Created: Monday, 3rd November 2025 10:00:00 am
  * Author: Josh.5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Monday, 5th January 2026 9:10:32 am
+ * Last Modified: Monday, 19th October 2026 2:50:08 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
 import * as core from "@actions/core";
-import { Octokit } from "@octokit/rest";
 import dotenv from "dotenv";
+import { createOctokit } from "./github-client.js";
+import { formatMessage, getReportLanguage } from "./messages.js";
 
 dotenv.config();
 
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN,
-});
+const octokit = createOctokit();
 
 async function checkForRecentSubmissions(owner, repo, issue) {
   const author = issue.user.login;
@@ -55,18 +54,11 @@ async function checkForRecentSubmissions(owner, repo, issue) {
     labels: ["invalid:submit-rate-limit"],
   });
   // Note: Deletion may occur sooner than 24 hours (next daily sweep). This is accepted.
-  const commentBody = [
-    "**Rate Limited:** This report was submitted too quickly after another.",
-    "",
-    "To prevent spam, we only allow one report per 60 seconds. This issue has been automatically closed.",
-    "",
-    "### What to do next:",
-    `- **If this report is for the same game and configuration as your previous one,** please add any additional details to the original report: #${oldestIssue.number}`,
-    "- **If you intended to submit a separate report for a different configuration of the same game,** you can re-open this issue and edit the report body. If no changes are needed, you can add a space to the end of the report to trigger our automation, which will remove the invalid label.",
-    "",
-    "> [!IMPORTANT]",
-    "> To keep our repository tidy, this report will be permanently deleted within the next 24 hours if no action is taken.",
-  ].join("\n");
+  const commentBody = formatMessage(
+    getReportLanguage(issue.body),
+    "rateLimit.body",
+    { originalIssue: oldestIssue.number }
+  );
   await octokit.issues.createComment({
     owner,
     repo,
@@ -4,23 +4,56 @@
  * File Created: Tuesday, 4th March 2025 3:53:38 pm
  * Author: Josh.5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Monday, 5th January 2026 9:20:28 am
+ * Last Modified: Monday, 19th October 2026 3:40:45 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
-import { graphql as rawGraphql } from "@octokit/graphql";
+import fs from "fs";
 import https from "https";
+import path from "path";
+import Ajv from "ajv/dist/2020.js";
+import * as core from "@actions/core";
 import dotenv from "dotenv";
+import { createGraphql, createOctokit } from "./github-client.js";
+import {
+  getSectionContent,
+  isNoResponse,
+  parseReportBody,
+  resolveEnumValue,
+  serializeReportBody,
+  setSectionContent,
+} from "./common.js";
+import { estimateBatteryLife, findHardwareDevice } from "./hardware.js";
+import { parseLaunchOptions } from "./launch-options.js";
+import {
+  DEFAULT_LANGUAGE,
+  formatAvailableLanguages,
+  formatMessage,
+  getAvailableLanguages,
+  getReportLanguage,
+  REPORT_LANGUAGE_FIELD,
+  resolveLanguage,
+} from "./messages.js";
+import { computeReportQuality } from "./quality.js";
+import { parseCommands } from "./command-parser.js";
+import {
+  buildConfirmationsComment,
+  findConfirmationsComment,
+  readConfirmations,
+  summariseConfirmations,
+} from "./confirmations.js";
+import { parseOsVersion } from "./versions.js";
+import {
+  findCommand,
+  getCommandLabels,
+  loadCommandRegistry,
+} from "./command-registry.js";
 
 dotenv.config();
 
 // Initialize Octokit (REST) and GraphQL with provided GITHUB_TOKEN
-const token = process.env.GITHUB_TOKEN;
-const octokit = new Octokit({ auth: token });
-const graphql = rawGraphql.defaults({
-  headers: { authorization: `token ${token}` },
-});
+const octokit = createOctokit();
+const graphql = createGraphql();
 
 const ghActionsBotUser =
   process.env.GH_ACTIONS_BOT_USER ?? "github-actions[bot]";
@@ -45,11 +78,31 @@ const ISSUE_TITLE = process.env.ISSUE_TITLE;
 
 const BOT_COMMENT_HEADER = "[ReportBot Managed Comment]";
 
-const WEBHOOK_IGNORED_COMMANDS = new Set(["help", "resolve", "delete"]);
-
-// Global holder for parsed comment data
+// Action log of a reply that linked this report as a duplicate of another report
+const DUPLICATE_LINK_REGEX = /> ACTION=add_label LABEL=\S+ DUPLICATE_OF=(\d+)/;
+
+// Validation schema of the report fields (used to check values changed with "/reportbot set")
+const reportSchema = JSON.parse(
+  fs.readFileSync(
+    path.resolve(
+      path.dirname(new URL(import.meta.url).pathname),
+      "config/game-report-validation.json"
+    ),
+    "utf-8"
+  )
+);
+const ajv = new Ajv({ strict: false });
+
+// Global holder for parsed comment data (the command being run)
 let REPORT_BOT_COMMAND_DATA = null;
 
+// All commands and parse errors found in the comment
+let REPORT_BOT_COMMANDS = [];
+let REPORT_BOT_PARSE_ERRORS = [];
+
+// Language of the replies posted on the report
+let REPORT_LANGUAGE = DEFAULT_LANGUAGE;
+
 function hasRequiredPermission(requiredRole, permissionLevel) {
   if (!requiredRole) return true;
   if (!permissionLevel) return false;
@@ -97,20 +150,28 @@ async function getOrgMembership(login) {
   }
 }
 
-function parseCommandFromComment() {
-  const commandMatch = COMMENT_BODY.match(/^\s*@?\/reportbot\s+([a-z-]+)/i);
-  if (!commandMatch) return;
-
-  const command = commandMatch[1].toLowerCase();
-  const parsedContext = COMMENT_BODY.replace(
-    /^\s*@?\/reportbot\s+[a-z-]+\s*/i,
-    ""
-  ).trim();
-
-  REPORT_BOT_COMMAND_DATA = {
-    command,
-    commandContext: parsedContext || null,
-  };
+// Parse every /reportbot command in the comment (see command-parser.js for the grammar)
+function parseCommandsFromComment() {
+  const { commands, errors } = parseCommands(COMMENT_BODY, (name) => {
+    const commandConfig = findCommand(name);
+    return (
+      commandConfig && {
+        flags: commandConfig.flags,
+        issueReferences: commandConfig.issueReferences,
+      }
+    );
+  });
+  REPORT_BOT_COMMANDS = commands.map((c) => ({
+    // Aliases are replaced with the name of the command they stand for
+    command: findCommand(c.name)?.name || c.name,
+    commandContext: c.context,
+    args: c.args,
+    flags: c.flags,
+    issueRefs: c.issueRefs,
+    text: c.text,
+    parseErrors: c.errors,
+  }));
+  REPORT_BOT_PARSE_ERRORS = errors;
 }
 
 // Determine whether we should send an external webhook for the current action.
@@ -132,14 +193,14 @@ function shouldSendWebhook() {
       return false;
     }
 
-    if (WEBHOOK_IGNORED_COMMANDS.has(cmd)) {
+    const cfg = findCommand(cmd);
+    if (cfg && cfg.webhook === false) {
       console.log(
-        "SendHook: ReportBot command is one of the ignored commands. Skipping webhook."
+        "SendHook: ReportBot command does not send webhooks. Skipping webhook."
       );
       return false;
     }
 
-    const cfg = validCommands[cmd];
     if (cfg && cfg.role === "author") {
       console.log(
         "SendHook: ReportBot command is an 'author' command. Skipping webhook."
@@ -165,9 +226,52 @@ function shouldSendWebhook() {
   }
 }
 
+// Fields the battery life estimate is calculated from
+const batteryLifeFields = ["Device", "Average Battery Power Draw"];
+
+// Estimate the battery life of a report. Only reports with a valid Device and
+// Average Battery Power Draw get an estimate.
+function estimateReportBatteryLife(report) {
+  const values = batteryLifeFields.map((field) =>
+    getSectionContent(report, field)
+  );
+  const isValid = batteryLifeFields.every((field, index) =>
+    reportSchema.properties[field].enum.includes(values[index])
+  );
+  return isValid ? estimateBatteryLife(...values) : null;
+}
+
+// Read data derived from the report (eg. estimated battery life or quality score) for webhook payloads
+async function getReportMetadata() {
+  const { data: issue } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+  const report = parseReportBody(issue.body || "");
+  const batteryLife = estimateReportBatteryLife(report);
+  const launchOptionsValue = getSectionContent(report, "Custom Launch Options");
+  const launchOptions = isNoResponse(launchOptionsValue)
+    ? null
+    : parseLaunchOptions(launchOptionsValue);
+  const { score, label, criteria } = computeReportQuality(
+    report,
+    issue.labels || []
+  );
+  const { confirmations } = await getConfirmations();
+  return {
+    batteryLife: batteryLife || undefined,
+    launchOptions: launchOptions || undefined,
+    quality: { score, label, criteria },
+    confirmations: summariseConfirmations(confirmations),
+  };
+}
+
 // Send a webhook with the given action log
 async function sendHook(actionLog) {
-  if (!shouldSendWebhook()) {
+  // Duplicate links are always sent so the website can fold the reports together
+  const duplicateMatch = String(actionLog || "").match(/DUPLICATE_OF=(\d+)/);
+  if (!duplicateMatch && !shouldSendWebhook()) {
     return;
   }
 
@@ -192,6 +296,11 @@ async function sendHook(actionLog) {
     performedBy: COMMENTER || undefined,
     command: cd.command || undefined,
     commandContext: cd.commandContext || undefined,
+    commandArgs: cd.args?.length ? cd.args : undefined,
+    commandFlags:
+      cd.flags && Object.keys(cd.flags).length ? cd.flags : undefined,
+    issueRefs: cd.issueRefs?.length ? cd.issueRefs : undefined,
+    duplicateOf: duplicateMatch ? Number(duplicateMatch[1]) : undefined,
     actionLog: actionLog || undefined,
   };
 
@@ -208,6 +317,13 @@ async function sendHook(actionLog) {
     if (actionMatch) payload.action = actionMatch[1];
   }
 
+  // Include data derived from the report body
+  try {
+    Object.assign(payload, await getReportMetadata());
+  } catch (e) {
+    console.log("sendHook: unable to read report metadata:", e && e.message);
+  }
+
   // try to extract a report title like the python sender does (logfmt)
   try {
     const issueTitleRaw = ISSUE_TITLE || null;
@@ -268,205 +384,54 @@ async function sendHook(actionLog) {
   }
 }
 
-const REPORT_BOT_INTRO_MESSAGE = `*${BOT_COMMENT_HEADER}*
-
-Hi! I'm **ReportBot**, here to help the community collaborate on this game report.
-
-<details>
-<summary><strong>▶️ How to use ReportBot (click to expand)</strong></summary>
-
----
-
-Start a comment with \`/reportbot <command> ...details...\`. Always add a short explanation **after** the command so the reporter knows what to do next.
-
-## Examples
-
-### Community commands
-
-> ["help"] See everything I can do.
-\`\`\`
-/reportbot help
-\`\`\`
-
-> ["request-clarification"] Ask for more details. Usually to be added to the "Additional Notes" section.
-\`\`\`
-/reportbot request-clarification
-Could you clarify where the FPS was measured? For example, was the minimum FPS captured when entering the open world after the second village (where stutters and drops are most common)?
-\`\`\`
-
-> ["suggest-config-review"] Suggest re-checking configuration details. Often used when a game or driver update may have changed results.
-\`\`\`
-/reportbot suggest-config-review
-This game was recently updated with performance fixes. The performance targets in your report may now be out of date and worth re-testing.
-\`\`\`
-
-> ["suggest-improvements"] Propose adding extra information or media.
-\`\`\`
-/reportbot suggest-improvements
-You left the "Average Battery Power Draw" field blank. Please add it so the report can include an estimated battery life calculation.
-\`\`\`
-
-> ["suggest-spelling-check"] Point out typos or grammar issues.
-\`\`\`
-/reportbot suggest-spelling-check
-A few headings (e.g. "Graphcis") look misspelled.
-\`\`\`
-
-> ["suggest-verification"] Recommend double-checking accuracy. Use this to point out potential mistakes or inconsistencies.
-\`\`\`
-/reportbot suggest-verification
-The max power draw was listed as 5 W when it looks like you meant 15 W. The report shows a very long battery life, but at 15 W it should probably only have a few hours.
-\`\`\`
-
-> ["mark-duplicate"] Flag this report as a duplicate of an existing submission so the author can consolidate updates.
-\`\`\`
-/reportbot mark-duplicate
-This looks like the same configuration and results as your report in #123. Let's keep the discussion there to avoid splitting feedback.
-\`\`\`
-
-### Author-only commands
-
-> ["resolve"] Remove a specific label after addressing it.
-\`\`\`
-/reportbot resolve community:clarification-requested
-\`\`\`
-
-> ["resolve"] Remove several labels at once.
-\`\`\`
-/reportbot resolve community:clarification-requested community:verification-suggested
-\`\`\`
-
-> ["resolve"] Remove **all** managed community labels from this report.
-\`\`\`
-/reportbot resolve all
-\`\`\`
-
-> ["delete"] **Permanently delete this report** (Requires confirmation).
-\`\`\`
-/reportbot delete
-\`\`\`
-This irreversibly removes the issue and all comments.
-
-</details>
-
-<details>
-<summary><strong>▶️ Notes on Community Labels (click to expand)</strong></summary>
+// Build the intro comment posted on new reports
+function buildIntroMessage(language) {
+  const commands = loadCommandRegistry();
+  const examples = (role) =>
+    commands
+      .filter((c) => (c.role || null) === role)
+      .flatMap((c) => c.examples || [])
+      .map((key) => formatMessage(language, key))
+      .join("\n\n");
+
+  return `*${BOT_COMMENT_HEADER}*\n\n${formatMessage(
+    language,
+    "reportBot.intro",
+    {
+      languages: formatAvailableLanguages(),
+      communityExamples: examples(null),
+      authorExamples: examples("author"),
+      labelUses: commands
+        .filter((c) => c.labelUse)
+        .map((c) => formatMessage(language, c.labelUse))
+        .join("\n"),
+    }
+  )}`;
+}
 
----
-
-## What labels are (and when to use them)
-Labels are **community signals** attached to the report so the author can quickly see what needs attention. They are not votes and they are not punishments. They are prompts to improve clarity and usefulness.
-
-Use a label when your feedback is:
-- **Actionable** (the author can do something specific), and
-- **Specific** (points to a setting, a metric, a claim, or evidence).
-
-Good uses:
-- Ask for missing details (\`community:clarification-requested\`).
-- Suggest a focused settings review (\`community:config-review-suggested\`).
-- Propose concrete upgrades like screenshots or short clips (\`community:improvements-suggested\`).
-- Flag a duplicate submission so discussion stays on the original report (\`community:duplicate-report\`).
-- Flag typos that reduce readability (\`community:spelling-check-suggested\`).
-- Request a double-check of a claim or metric (\`community:verification-suggested\`).
-- The report appears to be a duplicate of another report by the same author (\`community:duplicate-report\`).
-
-Less ideal:
-- General disagreement without details (use a regular comment and explain).
-- Piling on multiple labels for the same point (pick the most relevant single label).
-
-</details>
-
-
-<details>
-<summary><strong>▶️ Resolving feedback (click to expand)</strong></summary>
-
----
-
-If you posted a feedback comment with \`/reportbot\` and it has been addressed, you have two ways to resolve the labels it created:
-
-1. **Edit your original comment** and append **\`[RESOLVED]\`** on its own line. ReportBot will remove the label or labels created from that comment and mark its bot reply as resolved.  
-2. **Delete your original comment.** ReportBot will automatically remove the associated labels and its reply.
-
-The author can also manually remove labels using the \`/reportbot resolve <label>\` command if they feel it is invalid or they have addressed the issue that was raised.
-
-</details>
-
----
-
-## A note to the report author (you own this report)
-You can **edit your report at any time**. Games evolve — patches improve performance, drivers change, settings meta shifts. If your results change, please **update your report** so others benefit from the freshest info.
-
-Prefer to withdraw it? That is okay too. You can **permanently delete your report** with \`/reportbot delete confirm\`. (This is irreversible.)
-
-Community members may post comments or add the labels below to highlight something they think needs attention. If you see such a label on your report, please review it and consider updating to avoid the report getting voted down. When you have addressed it, you can clear labels yourself using the author-only \`resolve\` command shown above.
-
----
-
-## Be excellent to each other
-Keep discussion **civil, specific, and constructive**. We are here to help one another find good settings and accurate expectations.
-
----
-
-> [!TIP]
-> Post a comment \`/reportbot help\` any time to see the full list of commands that can be used in comments below.
-
-> [!NOTE]
-> You can also react 👍 or 👎 to the report to express an overall opinion.
-> These reactions will affect the placement of this review in search results.
-`;
-
-// Define valid bot commands and optionally associated labels
-const validCommands = {
-  help: {
-    description: "Displays a list of available ReportBot commands.",
-  },
-  resolve: {
-    role: "author",
-    description:
-      "Report author only. Remove one or more community labels that have been addressed. Usage: `/reportbot resolve <label|label2|...>` or `/reportbot resolve all`",
-  },
-  delete: {
-    role: "author",
-    description:
-      "Report author only. Permanently delete this report. Usage: `/reportbot delete confirm`",
-  },
-  "suggest-spelling-check": {
-    label: "community:spelling-check-suggested",
-    description:
-      "Applies a label to let the reporter know you are suggesting a spelling check on the report.",
-  },
-  "suggest-config-review": {
-    label: "community:config-review-suggested",
-    description:
-      "Applies a label to indicate a review of the configuration options in the report is suggested.",
-  },
-  "request-clarification": {
-    label: "community:clarification-requested",
-    description:
-      "Applies a label to let the reporter know you are requesting clarification on specific parts of the report.",
-  },
-  "suggest-verification": {
-    label: "community:verification-suggested",
-    description:
-      "Applies a label to let the reporter know you are suggesting verification of the report's information. Usually things to be added to the 'Additional Notes' section.",
-  },
-  "suggest-improvements": {
-    label: "community:improvements-suggested",
-    description:
-      "Applies a label to let the reporter know you are proposing potential improvements to the report.",
-  },
-  "mark-duplicate": {
-    label: "community:duplicate-report",
-    description:
-      "Applies a label to indicate this report duplicates an existing submission and should be consolidated.",
-  },
-  "mark-invalid": {
-    label: "invalid:report-inaccurate",
-    role: "maintainer",
-    description: "Marks the report as invalid if inaccurate. (Maintainer only)",
-  },
+// Commands that do more than apply their label (see config/reportbot-commands.json)
+const commandHandlers = {
+  help: postHelpComment,
+  resolve: resolveCommand,
+  language: languageCommand,
+  "mark-duplicate": markDuplicateCommand,
+  confirm: confirmCommand,
+  set: setCommand,
+  delete: deleteCommand,
 };
 
+// Every command in the registry must either apply a label or have a handler
+function checkCommandHandlers() {
+  const unhandled = loadCommandRegistry()
+    .filter((c) => !c.label && !commandHandlers[c.name])
+    .map((c) => c.name);
+  if (unhandled.length > 0) {
+    throw new Error(
+      `ReportBot commands without a label or handler: ${unhandled.join(", ")}`
+    );
+  }
+}
+
 // Main function to process the comment and apply or remove labels
 async function run() {
   if (
@@ -490,17 +455,22 @@ async function run() {
 
   console.log(`Action type: ${ACTION_TYPE}`);
 
-  parseCommandFromComment();
+  parseCommandsFromComment();
 
-  // Extract command from the comment body
-
-  if (!REPORT_BOT_COMMAND_DATA) {
+  if (
+    REPORT_BOT_COMMANDS.length === 0 &&
+    REPORT_BOT_PARSE_ERRORS.length === 0
+  ) {
     if (ACTION_TYPE === "deleted") {
       console.log(
         "Comment deleted without detectable command; attempting cleanup of bot replies."
       );
 
       await removeReplyComments();
+    } else if (ACTION_TYPE === "edited") {
+      // The commands were removed from the comment, including any confirmation
+      REPORT_LANGUAGE = await getIssueLanguage();
+      await removeCommentConfirmation();
     }
 
     console.log("No valid /reportbot command found.");
@@ -508,200 +478,738 @@ async function run() {
     return;
   }
 
-  const { command, commandContext } = REPORT_BOT_COMMAND_DATA;
+  try {
+    REPORT_LANGUAGE = await getIssueLanguage();
+
+    if (ACTION_TYPE === "created") {
+      // Commands that could not be read are skipped; the others still run
+      for (const commandData of REPORT_BOT_COMMANDS) {
+        if (commandData.parseErrors.length > 0) continue;
+        REPORT_BOT_COMMAND_DATA = commandData;
+        await runCommand(commandData);
+      }
+
+      if (REPORT_BOT_PARSE_ERRORS.length > 0) {
+        console.log(
+          `Unable to parse ReportBot command(s): ${JSON.stringify(
+            REPORT_BOT_PARSE_ERRORS
+          )}`
+        );
+        await postParseErrorComment(REPORT_BOT_PARSE_ERRORS);
+      }
+    } else if (ACTION_TYPE === "deleted") {
+      await removeReplyComments();
+      await removeCommentConfirmation();
+    } else if (ACTION_TYPE === "edited") {
+      if (COMMENT_BODY.includes("[RESOLVED]")) {
+        console.log(
+          `Detected [RESOLVED] marker in edited comment ID ${COMMENT_ID}. Removing related labels.`
+        );
+        await removeReplyComments({ keepComment: true });
+      }
+      if (!REPORT_BOT_COMMANDS.some((c) => c.command === "confirm")) {
+        await removeCommentConfirmation();
+      }
+    }
+  } catch (err) {
+    console.error("run() error:", err && err.message);
+  } finally {
+    // Ensure we always clear the global comment data to avoid leaking state
+    REPORT_BOT_COMMAND_DATA = null;
+  }
+}
+
+// Run a single command from a newly created comment
+async function runCommand(commandData) {
+  const { command, commandContext } = commandData;
+  const commandConfig = findCommand(command);
+  if (!commandConfig) {
+    console.log(`Invalid command '${command}' provided.`);
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.invalidCommand", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
+
+  const requiredRole = commandConfig?.role || null;
+  if (requiredRole) {
+    const issueAuthor = await getIssueAuthorLogin();
+    const commenterPerm = await getRepoPermissionLevel(COMMENTER);
+    const authorPerm = issueAuthor
+      ? await getRepoPermissionLevel(issueAuthor)
+      : null;
+    const commenterOrgState = await getOrgMembership(COMMENTER);
+
+    if (requiredRole === "author") {
+      if (COMMENTER !== issueAuthor) {
+        console.log(
+          [
+            "RoleCheck: denied command due to non-author.",
+            `command=${command}`,
+            `required_role=${requiredRole}`,
+            `commenter=${COMMENTER}`,
+            `commenter_repo_permission=${commenterPerm ?? "unknown"}`,
+            `commenter_org_membership=${commenterOrgState ?? "unknown"}`,
+            `issue_author=${issueAuthor ?? "unknown"}`,
+            `issue_author_repo_permission=${authorPerm ?? "unknown"}`,
+          ].join(" ")
+        );
+        return;
+      }
+    } else {
+      const permitted = hasRequiredPermission(requiredRole, commenterPerm);
+      if (!permitted) {
+        console.log(
+          [
+            "RoleCheck: denied command due to insufficient role.",
+            `command=${command}`,
+            `required_role=${requiredRole}`,
+            `commenter=${COMMENTER}`,
+            `commenter_repo_permission=${commenterPerm ?? "unknown"}`,
+            `commenter_org_membership=${commenterOrgState ?? "unknown"}`,
+            `issue_author=${issueAuthor ?? "unknown"}`,
+            `issue_author_repo_permission=${authorPerm ?? "unknown"}`,
+          ].join(" ")
+        );
+        return;
+      }
+    }
+  }
+
+  const handler = commandHandlers[commandConfig.name];
+  if (handler) {
+    await handler(commandData);
+    return;
+  }
+
+  await applyCommandLabel(commandConfig, commandContext);
+}
+
+// Apply the label of a label command
+async function applyCommandLabel(commandConfig, commandContext) {
+  // For label-adding commands, additional content is required
+  if (!commandContext) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.missingDetails", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
+
+  // Apply the label of the command to the issue
+  await applyLabel(commandConfig.label.name, commandConfig.reply);
+
+  // React to the comment with the eyes emoji
+  // TODO: Fix this.. This is not working for some reason
+  //await addReaction(COMMENT_ID);
+}
+
+// Check whether two reports belong to the same game project. Projects are matched
+// by App ID, or by game name when a report has no App ID (see assign-projects.js).
+function isSameGameProject(report, otherReport) {
+  const appId = (doc) => {
+    const value = getSectionContent(doc, "App ID");
+    return value && !isNoResponse(value) && !isNaN(Number(value))
+      ? Number(value)
+      : null;
+  };
+  const gameName = (doc) =>
+    (getSectionContent(doc, "Game Name") || "").trim().toLowerCase();
+
+  if (appId(report) && appId(otherReport)) {
+    return appId(report) === appId(otherReport);
+  }
+  return gameName(report) !== "" && gameName(report) === gameName(otherReport);
+}
+
+// Hidden marker on the comment that links the original report back to a duplicate
+function getDuplicateMarker(issueNumber) {
+  return `<!-- reportbot-duplicate: ${issueNumber} -->`;
+}
+
+// List the comments on the original report that link back to this report
+async function listDuplicateLinkComments(original) {
+  const comments = await octokit.paginate(octokit.issues.listComments, {
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: original,
+    per_page: 100,
+  });
+  return comments.filter(
+    (c) =>
+      c.user.login === ghActionsBotUser &&
+      c.body.includes(getDuplicateMarker(ISSUE_NUMBER))
+  );
+}
 
-  const commandConfig = validCommands[command];
+// Returns the report this report is linked to as a duplicate, or null.
+// A link exists while the original report still has the comment linking back to this report.
+async function getDuplicateLink() {
+  const comments = await octokit.paginate(octokit.issues.listComments, {
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+    per_page: 100,
+  });
+  const originals = comments
+    .filter((c) => c.user.login === ghActionsBotUser)
+    .map((c) => c.body.match(DUPLICATE_LINK_REGEX))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+
+  for (const original of new Set(originals)) {
+    if ((await listDuplicateLinkComments(original)).length > 0) {
+      return original;
+    }
+  }
+  return null;
+}
+
+// Remove the link between this report and the report it duplicates
+async function removeDuplicateLink(original) {
+  const linkComments = await listDuplicateLinkComments(original);
+  if (linkComments.length === 0) return;
+
+  for (const comment of linkComments) {
+    await octokit.issues.deleteComment({
+      owner: REPO_OWNER,
+      repo: REPO_NAME,
+      comment_id: comment.id,
+    });
+  }
+  console.log(
+    `Removed duplicate link between issue #${ISSUE_NUMBER} and #${original}`
+  );
+
+  try {
+    await sendHook(`ACTION=unlink_duplicate DUPLICATE_OF=${original}`);
+  } catch (e) {
+    console.error("removeDuplicateLink: sendHook failed:", e && e.message);
+  }
+}
+
+// Flag the report as a duplicate. With an issue reference (eg. "/reportbot duplicate-of #123")
+// the report is also linked to the original report by the same author.
+async function markDuplicateCommand({ commandContext, issueRefs }) {
+  const commandConfig = findCommand("mark-duplicate");
+  if (issueRefs.length === 0) {
+    await applyCommandLabel(commandConfig, commandContext);
+    return;
+  }
+
+  const reply = (key, variables = {}) =>
+    postComment(
+      formatMessage(REPORT_LANGUAGE, key, { user: COMMENTER, ...variables })
+    );
+  if (issueRefs.length > 1) {
+    await reply("reportBot.duplicate.singleReference");
+    return;
+  }
+  const [original] = issueRefs;
+  if (original === ISSUE_NUMBER) {
+    await reply("reportBot.duplicate.self");
+    return;
+  }
 
+  const { data: issue } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+  let target;
   try {
-    if (!commandConfig) {
-      console.log(`Invalid command '${command}' provided.`);
+    ({ data: target } = await octokit.issues.get({
+      owner: REPO_OWNER,
+      repo: REPO_NAME,
+      issue_number: original,
+    }));
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    await reply("reportBot.duplicate.notFound", { issue: original });
+    return;
+  }
+
+  const targetReport = parseReportBody(target.body || "");
+  const targetGameName = getSectionContent(targetReport, "Game Name");
+  if (target.pull_request || !targetGameName || isNoResponse(targetGameName)) {
+    await reply("reportBot.duplicate.notReport", { issue: original });
+    return;
+  }
+  if (!isSameGameProject(parseReportBody(issue.body || ""), targetReport)) {
+    await reply("reportBot.duplicate.differentGame", { issue: original });
+    return;
+  }
+  if (target.user?.login !== issue.user?.login) {
+    await reply("reportBot.duplicate.differentAuthor", { issue: original });
+    return;
+  }
+
+  const label = commandConfig.label.name;
+  const linked = await getDuplicateLink();
+  if (linked) {
+    await reply("reportBot.duplicate.alreadyLinked", { issue: linked, label });
+    return;
+  }
+
+  await applyLabel(label, "reportBot.duplicate.linked", {
+    variables: { issue: original },
+    actionLog: `ACTION=add_label LABEL=${label} DUPLICATE_OF=${original}`,
+  });
+
+  // Link the original report back to this report, in the language of the original report
+  await octokit.issues.createComment({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: original,
+    body: `*${BOT_COMMENT_HEADER}*\n\n---\n\n${formatMessage(
+      getReportLanguage(target.body || ""),
+      "reportBot.duplicate.original",
+      { issue: ISSUE_NUMBER }
+    )}\n\n${getDuplicateMarker(ISSUE_NUMBER)}`,
+  });
+  console.log(
+    `Linked issue #${ISSUE_NUMBER} as a duplicate of issue #${original}`
+  );
+}
+
+// Remove community labels that have been addressed (author only)
+async function resolveCommand({ args }) {
+  // Labels can be separated by spaces, commas or "|"
+  const requested = args
+    .flatMap((arg) => arg.split(/[,|]/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (requested.length === 0) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.resolve.missingLabels", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
+
+  const managed = getManagedCommunityLabels();
+
+  let toRemove = [];
+  if (requested.some((label) => /^all$/i.test(label))) {
+    toRemove = managed;
+  } else {
+    toRemove = normalizeRequestedLabels(requested, managed);
+    if (toRemove.length === 0) {
       await postComment(
-        `@${COMMENTER} Invalid command provided. Use a recognized /reportbot command.`
+        formatMessage(REPORT_LANGUAGE, "reportBot.resolve.noValidLabels", {
+          user: COMMENTER,
+          labels: managed.join(", "),
+        })
       );
       return;
     }
+  }
 
-    if (ACTION_TYPE === "created") {
-      // Action help messages
-      if (command === "help") {
-        await postHelpComment();
-        return;
-      }
+  const { removed, missing } = await resolveLabels(toRemove);
 
-      const requiredRole = commandConfig?.role || null;
-      if (requiredRole) {
-        const issueAuthor = await getIssueAuthorLogin();
-        const commenterPerm = await getRepoPermissionLevel(COMMENTER);
-        const authorPerm = issueAuthor
-          ? await getRepoPermissionLevel(issueAuthor)
-          : null;
-        const commenterOrgState = await getOrgMembership(COMMENTER);
-
-        if (requiredRole === "author") {
-          if (COMMENTER !== issueAuthor) {
-            console.log(
-              [
-                "RoleCheck: denied command due to non-author.",
-                `command=${command}`,
-                `required_role=${requiredRole}`,
-                `commenter=${COMMENTER}`,
-                `commenter_repo_permission=${commenterPerm ?? "unknown"}`,
-                `commenter_org_membership=${commenterOrgState ?? "unknown"}`,
-                `issue_author=${issueAuthor ?? "unknown"}`,
-                `issue_author_repo_permission=${authorPerm ?? "unknown"}`,
-              ].join(" ")
-            );
-            return;
-          }
-        } else {
-          const permitted = hasRequiredPermission(requiredRole, commenterPerm);
-          if (!permitted) {
-            console.log(
-              [
-                "RoleCheck: denied command due to insufficient role.",
-                `command=${command}`,
-                `required_role=${requiredRole}`,
-                `commenter=${COMMENTER}`,
-                `commenter_repo_permission=${commenterPerm ?? "unknown"}`,
-                `commenter_org_membership=${commenterOrgState ?? "unknown"}`,
-                `issue_author=${issueAuthor ?? "unknown"}`,
-                `issue_author_repo_permission=${authorPerm ?? "unknown"}`,
-              ].join(" ")
-            );
-            return;
-          }
-        }
-      }
+  // Resolving the duplicate label also removes the link to the original report
+  if (removed.includes(findCommand("mark-duplicate").label.name)) {
+    const original = await getDuplicateLink();
+    if (original) {
+      await removeDuplicateLink(original);
+    }
+  }
 
-      // Handle author resolve messages
-      if (command === "resolve") {
-        if (!commandContext) {
-          await postComment(
-            `@${COMMENTER} Please specify which label(s) to resolve, e.g. \`/reportbot resolve community:clarification-requested\` or \`/reportbot resolve all\`.`
-          );
-          return;
-        }
+  const parts = [];
+  if (removed.length) {
+    parts.push(
+      formatMessage(REPORT_LANGUAGE, "reportBot.resolve.removed", {
+        labels: removed.join("`, `"),
+      })
+    );
+  }
+  if (missing.length) {
+    parts.push(
+      formatMessage(REPORT_LANGUAGE, "reportBot.resolve.notPresent", {
+        labels: missing.join("`, `"),
+      })
+    );
+  }
 
-        const managed = getManagedCommunityLabels();
-
-        let toRemove = [];
-        if (/^all$/i.test(commandContext)) {
-          toRemove = managed;
-        } else {
-          toRemove = normalizeRequestedLabels(commandContext, managed);
-          if (toRemove.length === 0) {
-            await postComment(
-              `@${COMMENTER} No valid managed labels found in your request. Managed labels are: \`${managed.join(
-                ", "
-              )}\`.`
-            );
-            return;
-          }
-        }
+  await postComment(
+    parts.length
+      ? parts.join("\n")
+      : formatMessage(REPORT_LANGUAGE, "reportBot.resolve.noChanges"),
+    `ACTION=resolve LABELS=${toRemove.join(",")}`
+  );
+}
 
-        const { removed, missing } = await resolveLabels(toRemove);
+// Change the language ReportBot uses on the report (author only)
+async function languageCommand({ args }) {
+  const language = resolveLanguage(args.join(" "));
+  if (!language) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.language.unknown", {
+        user: COMMENTER,
+        languages: formatAvailableLanguages(),
+      })
+    );
+    return;
+  }
 
-        const parts = [];
-        if (removed.length) {
-          parts.push(`✅ Removed: \`${removed.join("`, `")}\``);
-        }
-        if (missing.length) {
-          parts.push(`ℹ️ Not present: \`${missing.join("`, `")}\``);
-        }
+  await setIssueLanguage(language);
+  REPORT_LANGUAGE = language;
+  await postComment(
+    formatMessage(REPORT_LANGUAGE, "reportBot.language.updated", {
+      user: COMMENTER,
+    })
+  );
+}
 
-        await postComment(
-          parts.length ? parts.join("\n") : "No changes were made.",
-          `ACTION=resolve LABELS=${toRemove.join(",")}`
-        );
+// Find the report field named by the leading arguments of a command.
+// The longest match wins, so field names with spaces work without quotes.
+function findReportField(args) {
+  const fields = Object.keys(reportSchema.properties);
+  for (let count = args.length; count > 0; count--) {
+    const name = args.slice(0, count).join(" ").toLowerCase();
+    const field = fields.find((f) => f.toLowerCase() === name);
+    if (field) return { field, valueArgs: args.slice(count) };
+  }
+  return null;
+}
 
-        return;
-      }
+// Check a new value against the schema of a report field.
+// Returns the value to write (options are matched like the report validation does)
+// or the message key of the problem.
+function validateFieldValue(field, value) {
+  const property = reportSchema.properties[field];
+  if (Array.isArray(property.enum)) {
+    const option = resolveEnumValue(value, property.enum);
+    return option
+      ? { value: option }
+      : { error: "reportBot.set.invalidOption" };
+  }
 
-      if (command === "delete") {
-        if (commandContext.toLowerCase() !== "confirm") {
-          await postComment(
-            `@${COMMENTER} This will permanently delete the report and all comments. If you're sure, run:\n\n\`/reportbot delete confirm\``
-          );
-          return;
-        }
+  const data =
+    property.type === "number" && !isNaN(Number(value)) ? Number(value) : value;
+  const validate = ajv.compile(property);
+  if (validate(data)) {
+    return { value };
+  }
+  const [{ keyword, params }] = validate.errors;
+  const errorKeys = {
+    type: "reportBot.set.invalidNumber",
+    minLength: "reportBot.set.tooShort",
+    maxLength: "reportBot.set.tooLong",
+    minimum: "reportBot.set.tooSmall",
+    exclusiveMinimum: "reportBot.set.tooSmall",
+  };
+  return {
+    error: errorKeys[keyword] || "reportBot.set.invalidValue",
+    limit: params.limit,
+  };
+}
 
-        const { data: issueData } = await octokit.issues.get({
-          owner: REPO_OWNER,
-          repo: REPO_NAME,
-          issue_number: ISSUE_NUMBER,
-        });
+// Read the tally comment and the confirmations listed in it
+async function getConfirmations() {
+  const comments = await octokit.paginate(octokit.issues.listComments, {
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+    per_page: 100,
+  });
+  const tally = findConfirmationsComment(comments, ghActionsBotUser);
+  return { tally, confirmations: tally ? readConfirmations(tally.body) : [] };
+}
 
-        if ((issueData.state || "").toLowerCase() !== "closed") {
-          await postComment(
-            `@${COMMENTER} This report must be closed before it can be permanently deleted. Please close the issue, then run \`/reportbot delete confirm\` to proceed. Deleting is permanent and the report cannot be recovered afterwards.`
-          );
-          return;
-        }
+// Create, update or (once the last confirmation is withdrawn) delete the tally comment
+async function saveConfirmations(tally, confirmations) {
+  if (confirmations.length === 0) {
+    if (tally) {
+      await octokit.issues.deleteComment({
+        owner: REPO_OWNER,
+        repo: REPO_NAME,
+        comment_id: tally.id,
+      });
+    }
+    return;
+  }
 
-        // Perform hard delete (no follow-up comment after this point)
-        await hardDeleteIssue({
-          actor: COMMENTER,
-          issueData,
-        });
-        return;
-      }
+  const body = `*${BOT_COMMENT_HEADER}*\n\n---\n\n${buildConfirmationsComment(
+    REPORT_LANGUAGE,
+    confirmations
+  )}`;
+  if (tally) {
+    await octokit.issues.updateComment({
+      owner: REPO_OWNER,
+      repo: REPO_NAME,
+      comment_id: tally.id,
+      body,
+    });
+  } else {
+    await octokit.issues.createComment({
+      owner: REPO_OWNER,
+      repo: REPO_NAME,
+      issue_number: ISSUE_NUMBER,
+      body,
+    });
+  }
+}
 
-      // For label-adding commands, additional content is required
-      if (!commandContext) {
-        await postComment(
-          `@${COMMENTER} you cannot instantiate a bot command without providing details for the reporter to action.`
-        );
-        return;
-      }
+// Record that the commenter reproduced the report, optionally on a given device and OS
+async function confirmCommand({ args, flags }) {
+  const issueAuthor = await getIssueAuthorLogin();
+  if (issueAuthor === COMMENTER) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.confirm.ownReport", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
 
-      // Apply the label to the issue if applicable
-      if (commandConfig.label) {
-        await applyLabel(commandConfig.label);
-      }
+  const { tally, confirmations } = await getConfirmations();
+  if (
+    confirmations.some((c) => c.user.toLowerCase() === COMMENTER.toLowerCase())
+  ) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.confirm.alreadyConfirmed", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
 
-      // Execute special actions if defined (WIP)
-      if (
-        commandConfig.action &&
-        typeof global[commandConfig.action] === "function"
-      ) {
-        await global[commandConfig.action](ISSUE_NUMBER, COMMENT_ID);
-      }
+  // The device can also be written without the option (eg. "/reportbot confirm Steam Deck OLED")
+  const deviceValue = (
+    typeof flags.device === "string" ? flags.device : args.join(" ")
+  ).trim();
+  const osValue = typeof flags.os === "string" ? flags.os.trim() : "";
+  confirmations.push({
+    user: COMMENTER,
+    userId: COMMENT_USER_ID || null,
+    commentId: COMMENT_ID,
+    device: deviceValue
+      ? findHardwareDevice(deviceValue)?.name || deviceValue
+      : null,
+    os: osValue ? parseOsVersion(osValue).canonical || osValue : null,
+    confirmedAt: COMMENT_CREATED_AT || new Date().toISOString(),
+  });
+  await saveConfirmations(tally, confirmations);
+  console.log(
+    `Recorded confirmation ${confirmations.length} of issue #${ISSUE_NUMBER} by ${COMMENTER}`
+  );
 
-      // React to the comment with the eyes emoji
-      // TODO: Fix this.. This is not working for some reason
-      //await addReaction(COMMENT_ID);
-    } else if (ACTION_TYPE === "deleted") {
-      await removeReplyComments();
-    } else if (ACTION_TYPE === "edited") {
-      if (COMMENT_BODY.includes("[RESOLVED]")) {
-        console.log(
-          `Detected [RESOLVED] marker in edited comment ID ${COMMENT_ID}. Removing related labels.`
-        );
-        await removeReplyComments({ keepComment: true });
-      }
-    }
-  } catch (err) {
-    console.error("run() error:", err && err.message);
-  } finally {
-    // Ensure we always clear the global comment data to avoid leaking state
-    REPORT_BOT_COMMAND_DATA = null;
+  try {
+    await sendHook("ACTION=confirm");
+  } catch (e) {
+    console.error("confirmCommand: sendHook failed:", e && e.message);
+  }
+}
+
+// Withdraw the confirmation made by a comment that was deleted or edited to remove the confirm command
+async function removeCommentConfirmation() {
+  const { tally, confirmations } = await getConfirmations();
+  const remaining = confirmations.filter((c) => c.commentId !== COMMENT_ID);
+  if (remaining.length === confirmations.length) return;
+
+  await saveConfirmations(tally, remaining);
+  console.log(
+    `Withdrew the confirmation of comment ID ${COMMENT_ID} on issue #${ISSUE_NUMBER}`
+  );
+
+  // The webhook is sent for the confirm command of the deleted comment (an edited
+  // comment no longer has one)
+  REPORT_BOT_COMMAND_DATA = REPORT_BOT_COMMANDS.find(
+    (c) => c.command === "confirm"
+  ) || { command: "confirm" };
+  try {
+    await sendHook("ACTION=unconfirm");
+  } catch (e) {
+    console.error(
+      "removeCommentConfirmation: sendHook failed:",
+      e && e.message
+    );
+  }
+}
+
+// Change a single field of the report (author only).
+// The body is edited with the bot token, so the "issues.edited" event refreshes the
+// title, labels and validation the same way an edit by the author does.
+async function setCommand({ args, text }) {
+  if (args.length === 0) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.set.missingField", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
+
+  const match = findReportField(args);
+  if (!match) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.set.unknownField", {
+        user: COMMENTER,
+        field: args[0],
+        fields: Object.keys(reportSchema.properties)
+          .map((f) => `\`${f}\``)
+          .join(", "),
+      })
+    );
+    return;
+  }
+  const { field, valueArgs } = match;
+
+  // Values that span several lines are read from the lines below the command
+  const value = (valueArgs.join(" ") || text || "").trim();
+  if (!value) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.set.missingValue", {
+        user: COMMENTER,
+        field,
+      })
+    );
+    return;
+  }
+
+  const result = validateFieldValue(field, value);
+  if (result.error) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, result.error, {
+        user: COMMENTER,
+        field,
+        value,
+        limit: result.limit,
+        options: (reportSchema.properties[field].enum || [])
+          .map((o) => `\`${o}\``)
+          .join(", "),
+      })
+    );
+    return;
+  }
+
+  const { data: issue } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+  const report = parseReportBody(issue.body || "");
+  if (getSectionContent(report, field) === result.value) {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.set.unchanged", {
+        user: COMMENTER,
+        field,
+      })
+    );
+    return;
+  }
+
+  setSectionContent(report, field, result.value);
+  await octokit.issues.update({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+    body: serializeReportBody(report),
+  });
+  console.log(`Set ${field} of issue #${ISSUE_NUMBER} to "${result.value}"`);
+
+  if (field === REPORT_LANGUAGE_FIELD) {
+    REPORT_LANGUAGE = resolveLanguage(result.value) || REPORT_LANGUAGE;
+  }
+  await postComment(
+    formatMessage(REPORT_LANGUAGE, "reportBot.set.updated", {
+      user: COMMENTER,
+      field,
+    })
+  );
+}
+
+// Permanently delete a closed report (author only)
+async function deleteCommand({ args }) {
+  if ((args[0] || "").toLowerCase() !== "confirm") {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.delete.confirm", {
+        user: COMMENTER,
+      })
+    );
+    return;
+  }
+
+  const { data: issueData } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+
+  if ((issueData.state || "").toLowerCase() !== "closed") {
+    await postComment(
+      formatMessage(REPORT_LANGUAGE, "reportBot.delete.mustBeClosed", {
+        user: COMMENTER,
+      })
+    );
+    return;
   }
+
+  // Perform hard delete (no follow-up comment after this point)
+  await hardDeleteIssue({
+    actor: COMMENTER,
+    issueData,
+  });
+}
+
+// Reply with the errors found while parsing the commands in the comment
+async function postParseErrorComment(errors) {
+  const errorLines = errors.map(
+    ({ code, line, column, values }) =>
+      `- **${formatMessage(REPORT_LANGUAGE, "reportBot.parseError.location", {
+        line,
+        column,
+      })}:** ${formatMessage(
+        REPORT_LANGUAGE,
+        `reportBot.parseError.${code}`,
+        values
+      )}`
+  );
+  await postComment(
+    [
+      formatMessage(REPORT_LANGUAGE, "reportBot.parseError.intro", {
+        user: COMMENTER,
+      }),
+      "",
+      ...errorLines,
+      "",
+      formatMessage(REPORT_LANGUAGE, "reportBot.parseError.hint"),
+    ].join("\n")
+  );
 }
 
 // Function to generate and post help text
 async function postHelpComment() {
-  const helpText = Object.entries(validCommands)
-    .filter(([_, config]) => config.role !== "maintainer") // Exclude maintainer-only commands
+  const helpText = loadCommandRegistry()
+    .filter((c) => c.role !== "maintainer") // Exclude maintainer-only commands
     .map(
-      ([command, config]) =>
-        `- \`/reportbot ${command}\`\n  - ${
-          config.description || "No description available."
-        }`
+      (c) =>
+        `- \`/reportbot ${c.name}\`\n  - ${formatMessage(
+          REPORT_LANGUAGE,
+          c.help
+        )}`
     )
     .join("\n");
 
-  const helpMessage = `Here are the available commands for ReportBot:\n\n${helpText}`;
-  const helpFooter = `***Important:*** You cannot submit a command without providing additional information. Always include specific details to help the reporter address your suggestion.\n\n- You can start commands with \`/reportbot\`.\n- Note: \`resolve\` and \`delete\` can only be used by the **report author**.`;
+  const helpMessage = `${formatMessage(
+    REPORT_LANGUAGE,
+    "reportBot.help.heading"
+  )}\n\n${helpText}`;
+  const authorCommands = new Intl.ListFormat(REPORT_LANGUAGE, {
+    type: "conjunction",
+  }).format(
+    loadCommandRegistry()
+      .filter((c) => c.role === "author")
+      .map((c) => `\`${c.name}\``)
+  );
+  const helpFooter = formatMessage(REPORT_LANGUAGE, "reportBot.help.footer", {
+    authorCommands,
+  });
 
   await postComment(`${helpMessage}\n\n\n${helpFooter}`);
 }
@@ -723,18 +1231,39 @@ async function postIssueHelpComment() {
       owner: REPO_OWNER,
       repo: REPO_NAME,
       issue_number: ISSUE_NUMBER,
-      body: REPORT_BOT_INTRO_MESSAGE,
+      body: buildIntroMessage(await getIssueLanguage()),
     });
   } catch (error) {
     console.error(`Error posting help message: ${error.message}`);
   }
 }
 
+// Write the battery life estimate of the report as a step output for the comment webhook
+async function writeBatteryLifeOutput() {
+  const { data: issue } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+  const batteryLife = estimateReportBatteryLife(
+    parseReportBody(issue.body || "")
+  );
+  console.log(`Estimated battery life: ${batteryLife?.text ?? "none"}`);
+  core.setOutput(
+    "battery_life",
+    batteryLife ? JSON.stringify(batteryLife) : ""
+  );
+}
+
 // Function to post a comment on the issue
 async function postComment(body, actionLog) {
   const header = `*${BOT_COMMENT_HEADER}*\n\n---\n\n`;
   const commentLink = `https://github.com/${REPO_OWNER}/${REPO_NAME}/issues/${ISSUE_NUMBER}#issuecomment-${COMMENT_ID}`;
-  let footer = `\n\n---\n\n*This comment was triggered by comment ID: ${COMMENT_ID} ([link](${commentLink})).*\n*When you are done with this information, delete your original comment to clean up my messages.*`;
+  let footer = `\n\n---\n\n${formatMessage(
+    REPORT_LANGUAGE,
+    "reportBot.footer.triggeredBy",
+    { commentId: COMMENT_ID, commentLink }
+  )}\n${formatMessage(REPORT_LANGUAGE, "reportBot.footer.cleanup")}`;
   if (actionLog) {
     footer = `${footer}\n\n---\n\n> ${actionLog}`;
   }
@@ -767,8 +1296,10 @@ async function addReaction(commentId) {
   }
 }
 
-// Add bot label
-async function applyLabel(label) {
+// Add bot label and reply with the message of the command that applied it
+async function applyLabel(label, reply, options = {}) {
+  const { variables = {}, actionLog = `ACTION=add_label LABEL=${label}` } =
+    options;
   try {
     await octokit.issues.addLabels({
       owner: REPO_OWNER,
@@ -778,12 +1309,12 @@ async function applyLabel(label) {
     });
     console.log(`Added label "${label}" to issue #${ISSUE_NUMBER}`);
     await postComment(
-      `Label "${label}" applied`,
-      `ACTION=add_label LABEL=${label}`
+      formatMessage(REPORT_LANGUAGE, reply, { label, ...variables }),
+      actionLog
     );
 
     try {
-      await sendHook(`ACTION=add_label LABEL=${label}`);
+      await sendHook(actionLog);
     } catch (e) {
       console.error("applyLabel: sendHook failed:", e && e.message);
     }
@@ -821,12 +1352,12 @@ async function removeReplyComments(options = {}) {
     issue_number: ISSUE_NUMBER,
   });
 
+  // Replies link to the comment that triggered them (the link is the same in every language)
+  const triggerLink = `/issues/${ISSUE_NUMBER}#issuecomment-${COMMENT_ID})`;
   const botComments = comments.data.filter(
     (comment) =>
       comment.user.login === ghActionsBotUser &&
-      comment.body.includes(
-        `*This comment was triggered by comment ID: ${COMMENT_ID}`
-      )
+      comment.body.includes(triggerLink)
   );
 
   for (const comment of botComments) {
@@ -838,10 +1369,20 @@ async function removeReplyComments(options = {}) {
       const label = actionMatch[2];
 
       if (action === "add_label") {
+        // The webhook for the removal is sent for the command that applied the label
+        REPORT_BOT_COMMAND_DATA =
+          REPORT_BOT_COMMANDS.find(
+            (c) => findCommand(c.command)?.label?.name === label
+          ) || REPORT_BOT_COMMAND_DATA;
         console.log(
           `Undoing "add_label" action: Removing label "${label}" from issue #${ISSUE_NUMBER}`
         );
         await removeLabel(label);
+
+        const duplicateMatch = comment.body.match(DUPLICATE_LINK_REGEX);
+        if (duplicateMatch) {
+          await removeDuplicateLink(Number(duplicateMatch[1]));
+        }
       }
     }
 
@@ -867,7 +1408,10 @@ async function removeReplyComments(options = {}) {
           owner: REPO_OWNER,
           repo: REPO_NAME,
           comment_id: comment.id,
-          body: `${comment.body}\n\n✅ *This feedback has been marked as RESOLVED by the commenter.*`,
+          body: `${comment.body}\n\n${formatMessage(
+            REPORT_LANGUAGE,
+            "reportBot.resolvedNote"
+          )}`,
         });
         console.log(
           `Marked bot comment (ID: ${comment.id}) as resolved on issue #${ISSUE_NUMBER}`
@@ -891,20 +1435,44 @@ async function getIssueAuthorLogin() {
   return issue.user?.login;
 }
 
+// Read the language ReportBot uses on the report
+async function getIssueLanguage() {
+  const { data: issue } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+  return getReportLanguage(issue.body || "");
+}
+
+// Save the language ReportBot uses on the report to its "ReportBot Language" section
+async function setIssueLanguage(language) {
+  const { data: issue } = await octokit.issues.get({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+  });
+  const { name } = getAvailableLanguages().find((l) => l.code === language);
+  const report = parseReportBody(issue.body || "");
+  setSectionContent(report, REPORT_LANGUAGE_FIELD, name);
+  await octokit.issues.update({
+    owner: REPO_OWNER,
+    repo: REPO_NAME,
+    issue_number: ISSUE_NUMBER,
+    body: serializeReportBody(report),
+  });
+  console.log(
+    `Set ${REPORT_LANGUAGE_FIELD} of issue #${ISSUE_NUMBER} to "${name}"`
+  );
+}
+
 // Returns an array of community labels that are "managed" by this bot
 function getManagedCommunityLabels() {
-  return Object.values(validCommands)
-    .map((c) => c.label)
-    .filter(Boolean); // only entries that have a label
+  return getCommandLabels().map((l) => l.name);
 }
 
 // Normalize label input (trim & preserve case of real labels, but match case-insensitively)
-function normalizeRequestedLabels(input, managedLabels) {
-  const requested = input
-    .split(/[,\s]+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
-
+function normalizeRequestedLabels(requested, managedLabels) {
   const byLower = new Map(managedLabels.map((L) => [L.toLowerCase(), L]));
 
   const resolved = [];
@@ -988,7 +1556,9 @@ async function hardDeleteIssue({ actor, issueData }) {
     // Best-effort feedback if still possible
     try {
       await postComment(
-        `@${actor} Sorry, I couldn't delete this report automatically. A maintainer may need to assist.`
+        formatMessage(REPORT_LANGUAGE, "reportBot.delete.failed", {
+          user: actor,
+        })
       );
     } catch (_e) {
       // If the issue *was* deleted before we tried to comment, ignore.
@@ -997,11 +1567,20 @@ async function hardDeleteIssue({ actor, issueData }) {
 }
 
 async function main() {
+  // Fail early if the command registry is invalid
+  loadCommandRegistry();
+  checkCommandHandlers();
+
   if (args.includes("--intro")) {
     await postIssueHelpComment();
     return;
   }
 
+  if (args.includes("--battery-life")) {
+    await writeBatteryLifeOutput();
+    return;
+  }
+
   await run();
 }
 
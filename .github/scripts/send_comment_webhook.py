@@ -48,6 +48,15 @@ def _require(name: str) -> str:
     return value
 
 
+def _json_or_none(value: str | None) -> object | None:
+    if value is None:
+        return None
+    try:
+        return json.loads(value)
+    except ValueError:
+        return None
+
+
 def _extract_logfmt_field(logfmt: str | None, field: str) -> str | None:
     if not logfmt:
         return None
@@ -72,6 +81,7 @@ def build_payload() -> dict[str, object]:
         "commentUrl": _env_or_none("COMMENT_URL"),
         "commentCreatedAt": _env_or_none("COMMENT_CREATED_AT"),
         "reportTitle": report_title,
+        "batteryLife": _json_or_none(_env_or_none("BATTERY_LIFE")),
     }
     return {key: value for key, value in payload.items() if value is not None}
 
@@ -0,0 +1,173 @@
+/**
+ * File: steam-apps.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:29:14 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:56:59 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { levenshteinDistance } from "./common.js";
+import { DEFAULT_LANGUAGE, formatMessage } from "./messages.js";
+
+const defaultSteamAppListPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "data/steam-app-list.json"
+);
+
+// Names at least this similar (after normalising) are treated as the same game
+const minimumNameSimilarity = 0.8;
+
+let steamAppList;
+
+/**
+ * Returns the path of the Steam app list snapshot.
+ * Can be overridden with the STEAM_APP_LIST_PATH environment variable.
+ * @returns {string} The snapshot file path.
+ */
+export function getSteamAppListPath() {
+  return process.env.STEAM_APP_LIST_PATH || defaultSteamAppListPath;
+}
+
+/**
+ * Loads the Steam app list snapshot written by update-steam-app-list.js.
+ * The file is only read once per process.
+ * @returns {{updated_at: string, apps: Object<string, string>}|null} The snapshot
+ *   (App ID → name) or null if no snapshot has been created yet, in which case a
+ *   warning is logged.
+ */
+export function loadSteamAppList() {
+  if (steamAppList === undefined) {
+    const snapshotPath = getSteamAppListPath();
+    steamAppList = fs.existsSync(snapshotPath)
+      ? JSON.parse(fs.readFileSync(snapshotPath, "utf-8"))
+      : null;
+    if (!steamAppList) {
+      console.warn(
+        `No Steam app list snapshot at ${snapshotPath}. Skipping the App ID checks. Run update-steam-app-list.js to create it.`
+      );
+    }
+  }
+  return steamAppList;
+}
+
+/**
+ * Normalises a game name for comparison, eg. "DOOM Eternal™" → "doom eternal".
+ * @param {string|null} name - The game name.
+ * @returns {string} The normalised name.
+ */
+export function normaliseGameName(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/[™®©]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// The name without a subtitle or edition, eg. "The Witcher 3: Wild Hunt" → "The Witcher 3"
+function getBaseGameName(name) {
+  return String(name ?? "").split(/\s*:\s+|\s+[-–—]\s+/)[0];
+}
+
+/**
+ * Checks whether a reported game name matches the name listed on Steam closely enough.
+ * Names match when they are the same after normalising, when one only adds a
+ * subtitle or edition to the other, or when they only differ by a small typo.
+ * @param {string} reportedName - The "Game Name" value from a report.
+ * @param {string} steamName - The name of the app on Steam.
+ * @returns {boolean}
+ */
+export function isMatchingGameName(reportedName, steamName) {
+  const reported = normaliseGameName(reportedName);
+  const steam = normaliseGameName(steamName);
+  if (!reported || !steam) return false;
+  if (
+    reported === steam ||
+    reported === normaliseGameName(getBaseGameName(steamName)) ||
+    steam === normaliseGameName(getBaseGameName(reportedName))
+  ) {
+    return true;
+  }
+
+  const distance = levenshteinDistance(reported, steam);
+  const similarity = 1 - distance / Math.max(reported.length, steam.length);
+  return similarity >= minimumNameSimilarity;
+}
+
+/**
+ * Looks up a Steam app in the snapshot.
+ * @param {string|number|null} appId - The "App ID" value from a report.
+ * @returns {{appid: number, name: string}|null} The app, or null if it is not in the
+ *   snapshot (or there is no snapshot).
+ */
+export function findSteamApp(appId) {
+  const snapshot = loadSteamAppList();
+  const name = snapshot?.apps[String(appId ?? "").trim()];
+  return name ? { appid: Number(appId), name } : null;
+}
+
+/**
+ * Finds Steam apps with the same name as a reported game.
+ * @param {string|null} gameName - The "Game Name" value from a report.
+ * @param {number} [limit=3] - The maximum number of apps to return.
+ * @returns {{appid: number, name: string}[]} The matching apps, lowest App ID first.
+ */
+export function findSteamAppsByName(gameName, limit = 3) {
+  const snapshot = loadSteamAppList();
+  const wanted = normaliseGameName(gameName);
+  if (!snapshot || !wanted) return [];
+
+  const matches = [];
+  for (const [appid, name] of Object.entries(snapshot.apps)) {
+    if (normaliseGameName(name) === wanted) {
+      matches.push({ appid: Number(appid), name });
+    }
+  }
+  return matches.sort((a, b) => a.appid - b.appid).slice(0, limit);
+}
+
+/**
+ * Checks that the App ID of a Steam report belongs to the reported game.
+ * Reports for other launchers, App IDs missing from the snapshot and runs without
+ * a snapshot are not checked.
+ * @param {object} reportData - The report data object.
+ * @param {string} [language] - The language of the messages.
+ * @returns {string[]} Error messages.
+ */
+export function validateSteamAppId(reportData, language = DEFAULT_LANGUAGE) {
+  if (reportData["Launcher"] !== "Steam") return [];
+
+  const app = findSteamApp(reportData["App ID"]);
+  const gameName = reportData["Game Name"];
+  if (!app || !gameName || isMatchingGameName(gameName, app.name)) return [];
+
+  let error = `App ID: ${formatMessage(language, "checks.steamApps.mismatch", {
+    appid: app.appid,
+    name: app.name,
+    gameName,
+  })}`;
+  const suggestions = findSteamAppsByName(gameName);
+  if (suggestions.length > 0) {
+    error += `. ${formatMessage(language, "checks.didYouMean", {
+      suggestion: formatSteamApps(suggestions, language),
+    })}`;
+  }
+  return [error];
+}
+
+/**
+ * Formats Steam apps for a message, eg. '1145360 ("Hades")'.
+ * @param {{appid: number, name: string}[]} apps - The apps.
+ * @param {string} [language] - The language of the message.
+ * @returns {string} The apps joined with "or" in the given language.
+ */
+export function formatSteamApps(apps, language = DEFAULT_LANGUAGE) {
+  return new Intl.ListFormat(language, { type: "disjunction" }).format(
+    apps.map((app) => `${app.appid} ("${app.name}")`)
+  );
+}
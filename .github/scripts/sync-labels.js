@@ -0,0 +1,231 @@
+/**
+ * File: sync-labels.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:09:08 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:18:16 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { createOctokit } from "./github-client.js";
+import { fetchRepoLabels } from "./common.js";
+
+dotenv.config(); // Load environment variables from .env for local testing
+
+// Synchronises the repository labels with config/labels.json.
+//
+// Usage:
+//   node sync-labels.js [--dry-run] [--prune] [--rename "<old name>=<new name>" ...]
+//
+//   --dry-run  Only print the changes that would be made (also enabled with DRY_RUN_MODE=true)
+//   --prune    Delete repository labels that are not listed in config/labels.json
+//   --rename   Rename an existing label in place so it stays on the issues it is applied to
+
+const octokit = createOctokit();
+
+const labelsPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/labels.json"
+);
+
+function parseArgs(argv) {
+  const options = { dryRun: false, prune: false, renames: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--prune") {
+      options.prune = true;
+    } else if (arg === "--rename") {
+      const value = argv[++i] || "";
+      const separator = value.indexOf("=");
+      if (separator <= 0 || separator === value.length - 1) {
+        throw new Error(
+          `Invalid --rename value "${value}". Expected "<old name>=<new name>".`
+        );
+      }
+      options.renames.push({
+        from: value.slice(0, separator).trim(),
+        to: value.slice(separator + 1).trim(),
+      });
+    } else {
+      throw new Error(`Unknown argument "${arg}".`);
+    }
+  }
+  if (process.env.DRY_RUN_MODE === "true") {
+    options.dryRun = true;
+  }
+  return options;
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Works out the changes needed to make the repository labels match the config.
+ * @param {object[]} configLabels - Labels from config/labels.json.
+ * @param {object[]} repoLabels - Labels currently defined in the repository.
+ * @param {{prune: boolean, renames: {from: string, to: string}[]}} options - Sync options.
+ * @returns {{action: string, label: object, from?: object}[]} The ordered list of changes.
+ */
+function planLabelChanges(configLabels, repoLabels, options) {
+  const changes = [];
+  const remaining = [...repoLabels];
+  const takeRepoLabel = (name) => {
+    const index = remaining.findIndex((l) => sameName(l.name, name));
+    return index === -1 ? null : remaining.splice(index, 1)[0];
+  };
+
+  // Renames go first so the renamed label is then treated as existing
+  for (const { from, to } of options.renames) {
+    const target = configLabels.find((l) => sameName(l.name, to));
+    if (!target) {
+      throw new Error(`Rename target "${to}" is not listed in labels.json.`);
+    }
+    if (remaining.some((l) => sameName(l.name, to))) {
+      console.warn(
+        `Skipping rename of "${from}": a label named "${to}" already exists. Remove one of them manually to avoid losing it from issues.`
+      );
+      continue;
+    }
+    const existing = takeRepoLabel(from);
+    if (!existing) {
+      console.warn(`Skipping rename of "${from}": label does not exist.`);
+      continue;
+    }
+    remaining.push({ ...existing, name: target.name });
+    changes.push({ action: "rename", label: target, from: existing });
+  }
+
+  for (const label of configLabels) {
+    const existing = takeRepoLabel(label.name);
+    const renamed = changes.find(
+      (c) => c.action === "rename" && c.label === label
+    );
+    if (renamed) continue;
+    if (!existing) {
+      changes.push({ action: "create", label });
+    } else if (
+      existing.name !== label.name ||
+      existing.color.toLowerCase() !== label.color.toLowerCase() ||
+      existing.description !== (label.description || "")
+    ) {
+      changes.push({ action: "update", label, from: existing });
+    }
+  }
+
+  for (const label of remaining) {
+    if (options.prune) {
+      changes.push({ action: "delete", label });
+    } else {
+      console.log(`? unmanaged "${label.name}" (use --prune to delete)`);
+    }
+  }
+
+  return changes;
+}
+
+function describeChange({ action, label, from }) {
+  switch (action) {
+    case "create":
+      return `+ create "${label.name}" color=${label.color} description="${label.description}"`;
+    case "update": {
+      const diffs = [];
+      if (from.name !== label.name) {
+        diffs.push(`name "${from.name}" -> "${label.name}"`);
+      }
+      if (from.color.toLowerCase() !== label.color.toLowerCase()) {
+        diffs.push(`color ${from.color} -> ${label.color}`);
+      }
+      if (from.description !== (label.description || "")) {
+        diffs.push(
+          `description "${from.description}" -> "${label.description}"`
+        );
+      }
+      return `~ update "${label.name}": ${diffs.join(", ")}`;
+    }
+    case "rename":
+      return `> rename "${from.name}" -> "${label.name}" color=${label.color} description="${label.description}"`;
+    case "delete":
+      return `- delete "${label.name}"`;
+    default:
+      return `? ${action} "${label.name}"`;
+  }
+}
+
+async function applyChange(owner, repo, { action, label, from }) {
+  if (action === "create") {
+    await octokit.issues.createLabel({
+      owner,
+      repo,
+      name: label.name,
+      color: label.color,
+      description: label.description || "",
+    });
+  } else if (action === "update" || action === "rename") {
+    // Updating by the current name keeps the label on existing issues
+    await octokit.issues.updateLabel({
+      owner,
+      repo,
+      name: from.name,
+      new_name: label.name,
+      color: label.color,
+      description: label.description || "",
+    });
+  } else if (action === "delete") {
+    await octokit.issues.deleteLabel({
+      owner,
+      repo,
+      name: label.name,
+    });
+  }
+}
+
+async function run() {
+  const owner = process.env.REPO_OWNER;
+  const repo = process.env.REPO_NAME;
+  if (!owner || !repo || !process.env.GITHUB_TOKEN) {
+    console.error(
+      "Missing required environment variables: REPO_OWNER, REPO_NAME, or GITHUB_TOKEN"
+    );
+    process.exit(1);
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  console.log(
+    options.dryRun ? "DRY_RUN_MODE enabled" : "DRY_RUN_MODE disabled"
+  );
+
+  const configLabels = JSON.parse(fs.readFileSync(labelsPath, "utf-8"));
+  const repoLabels = await fetchRepoLabels(octokit, owner, repo);
+  console.log(
+    `Comparing ${configLabels.length} configured labels with ${repoLabels.length} labels in ${owner}/${repo}...`
+  );
+
+  const changes = planLabelChanges(configLabels, repoLabels, options);
+  if (changes.length === 0) {
+    console.log("Labels are already in sync.");
+    return;
+  }
+
+  for (const change of changes) {
+    console.log(describeChange(change));
+    if (!options.dryRun) {
+      await applyChange(owner, repo, change);
+    }
+  }
+
+  console.log(
+    options.dryRun
+      ? `DRY RUN: ${changes.length} label change(s) not applied.`
+      : `Applied ${changes.length} label change(s).`
+  );
+}
+
+run().catch((error) => {
+  console.error("Failed to sync labels:", error);
+  process.exit(1);
+});
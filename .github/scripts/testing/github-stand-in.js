@@ -0,0 +1,1064 @@
+/**
+ * File: github-stand-in.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:15:30 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:30:17 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import http from "http";
+
+// An in-memory stand-in for the parts of the GitHub REST and GraphQL APIs
+// used by the automation scripts. Point a script at it by setting
+// GITHUB_API_URL to the URL returned from start().
+//
+// Every request that changes state is appended to `mutations` as
+// { action, ...params, ...body } so that tests can assert exactly what a
+// script attempted to do.
+
+const DEFAULT_ACTOR = "github-actions[bot]";
+
+/**
+ * Resolves relative times such as "now", "now-30s" or "now-7d" to ISO strings.
+ * @param {*} value - Any fixture value. Objects and arrays are resolved recursively.
+ * @param {Date} [now] - The time to resolve relative values against.
+ * @returns {*} The value with all relative times replaced.
+ */
+export function resolveRelativeTimes(value, now = new Date()) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveRelativeTimes(item, now));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveRelativeTimes(item, now),
+      ])
+    );
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  const match = value.match(/^now(?:([+-])(\d+)([smhd]))?$/);
+  if (!match) {
+    return value;
+  }
+  const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  const offset = match[1]
+    ? Number(match[2]) * units[match[3]] * (match[1] === "-" ? -1 : 1)
+    : 0;
+  return new Date(now.getTime() + offset).toISOString();
+}
+
+class StandInError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function notFound() {
+  return new StandInError(404, "Not Found");
+}
+
+// Converts an Express style path ("/repos/:owner/:repo") into a matcher
+function compileRoute(method, pattern, action, handler) {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return {
+    method,
+    action,
+    handler,
+    match(pathname) {
+      const m = pathname.match(new RegExp(`^${source}$`));
+      if (!m) return null;
+      return Object.fromEntries(
+        names.map((name, i) => {
+          const value = decodeURIComponent(m[i + 1]);
+          return [name, /^\d+$/.test(value) ? Number(value) : value];
+        })
+      );
+    },
+  };
+}
+
+/**
+ * Creates a GitHub API stand-in seeded with the given state.
+ *
+ * The state may contain:
+ * - owner, repo, org: The repository and organisation logins.
+ * - labels: Repository labels (names or { name, color, description }).
+ * - issues: Issues with { number, title, body, state, user, labels, created_at, comments, events }.
+ *   The body may be given as an array of lines.
+ * - projects: Organisation projects with { title, items: [issue numbers] }.
+ * - collaborators: A map of login to repository permission ("read", "write", "admin", ...).
+ * - orgMembers: A map of login to organisation membership state ("active", "pending").
+ * - ocr: The response returned by the OCR endpoint at /__ocr.
+ * - steamApps: Steam apps with { appid, name } returned by the Steam app list
+ *   endpoint at /__steam/IStoreService/GetAppList/v1/.
+ *
+ * @param {object} [state] - The initial state.
+ * @returns {object} The stand-in with start(), stop(), snapshot(), mutations and actor.
+ */
+export function createGitHubStandIn(state = {}) {
+  let nextId = 1000;
+  const newId = () => nextId++;
+
+  const owner = state.owner || "DeckSettings";
+  const repo = state.repo || "game-reports-steamos";
+  const org = { login: state.org || owner, id: "O_1" };
+  const collaborators = state.collaborators || {};
+  const orgMembers = state.orgMembers || {};
+  const users = new Map();
+  let baseUrl = "";
+
+  const standIn = {
+    actor: DEFAULT_ACTOR,
+    mutations: [],
+    start,
+    stop,
+    snapshot,
+    updateIssue,
+  };
+
+  function getUser(login) {
+    if (!users.has(login)) {
+      users.set(login, {
+        login,
+        id: newId(),
+        type: login.endsWith("[bot]") ? "Bot" : "User",
+      });
+    }
+    return users.get(login);
+  }
+
+  function toUser(value) {
+    if (value && typeof value === "object") {
+      const user = getUser(value.login);
+      if (value.id) user.id = value.id;
+      return user;
+    }
+    return getUser(value || "octocat");
+  }
+
+  const labels = (state.labels || []).map((label) => {
+    const data = typeof label === "string" ? { name: label } : label;
+    return {
+      id: newId(),
+      name: data.name,
+      color: data.color || "ededed",
+      description: data.description ?? null,
+    };
+  });
+
+  function findLabel(name) {
+    return labels.find((l) => l.name.toLowerCase() === name.toLowerCase());
+  }
+
+  function ensureLabel(name) {
+    let label = findLabel(name);
+    if (!label) {
+      label = { id: newId(), name, color: "ededed", description: null };
+      labels.push(label);
+    }
+    return label;
+  }
+
+  const issues = new Map();
+  for (const data of state.issues || []) {
+    const created = data.created_at || new Date().toISOString();
+    const issue = {
+      id: newId(),
+      node_id: `I_${data.number}`,
+      number: data.number,
+      title: data.title || "",
+      body: Array.isArray(data.body) ? data.body.join("\n") : data.body ?? "",
+      state: data.state || "open",
+      user: toUser(data.user),
+      labels: (data.labels || []).map((name) => ensureLabel(name).name),
+      created_at: created,
+      updated_at: data.updated_at || created,
+      closed_at: data.state === "closed" ? created : null,
+      pull_request: data.pull_request,
+      deleted: false,
+      comments: [],
+      events: [],
+    };
+    for (const comment of data.comments || []) {
+      issue.comments.push({
+        id: comment.id || newId(),
+        body: comment.body || "",
+        user: toUser(comment.user),
+        created_at: comment.created_at || created,
+        updated_at: comment.updated_at || comment.created_at || created,
+      });
+    }
+    for (const event of data.events || []) {
+      issue.events.push({
+        id: newId(),
+        event: event.event,
+        actor: toUser(event.actor),
+        label: event.label ? { name: event.label } : undefined,
+        created_at: event.created_at || created,
+      });
+    }
+    issues.set(issue.number, issue);
+  }
+
+  const projects = [];
+  function createProject(title) {
+    const number = projects.length + 1;
+    const project = {
+      id: `PVT_${number}`,
+      number,
+      title,
+      url: `https://github.com/orgs/${org.login}/projects/${number}`,
+      readme: null,
+      shortDescription: null,
+      public: false,
+      fields: [
+        {
+          id: `PVTSSF_${number}`,
+          name: "Status",
+          options: [
+            { name: "Todo", description: "" },
+            { name: "In Progress", description: "" },
+            { name: "Done", description: "" },
+          ],
+        },
+      ],
+      items: [],
+    };
+    projects.push(project);
+    return project;
+  }
+  for (const data of state.projects || []) {
+    const project = createProject(data.title);
+    for (const number of data.items || []) {
+      project.items.push({ id: `PVTI_${newId()}`, contentId: `I_${number}` });
+    }
+  }
+
+  // === Serialisers ===
+
+  function serializeLabel(label) {
+    return {
+      id: label.id,
+      node_id: `LA_${label.id}`,
+      url: `${baseUrl}/repos/${owner}/${repo}/labels/${encodeURIComponent(
+        label.name
+      )}`,
+      name: label.name,
+      color: label.color,
+      description: label.description,
+      default: false,
+    };
+  }
+
+  function serializeIssue(issue) {
+    return {
+      id: issue.id,
+      node_id: issue.node_id,
+      number: issue.number,
+      title: issue.title,
+      body: issue.body,
+      state: issue.state,
+      user: issue.user,
+      labels: issue.labels.map((name) => serializeLabel(ensureLabel(name))),
+      comments: issue.comments.length,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      closed_at: issue.closed_at,
+      html_url: `https://github.com/${owner}/${repo}/issues/${issue.number}`,
+      ...(issue.pull_request ? { pull_request: issue.pull_request } : {}),
+    };
+  }
+
+  function serializeComment(issue, comment) {
+    return {
+      id: comment.id,
+      node_id: `IC_${comment.id}`,
+      body: comment.body,
+      user: comment.user,
+      created_at: comment.created_at,
+      updated_at: comment.updated_at,
+      issue_url: `${baseUrl}/repos/${owner}/${repo}/issues/${issue.number}`,
+      html_url: `https://github.com/${owner}/${repo}/issues/${issue.number}#issuecomment-${comment.id}`,
+    };
+  }
+
+  // === State helpers ===
+
+  function getIssue(number) {
+    const issue = issues.get(number);
+    if (!issue || issue.deleted) {
+      throw notFound();
+    }
+    return issue;
+  }
+
+  function findComment(commentId) {
+    for (const issue of issues.values()) {
+      if (issue.deleted) continue;
+      const comment = issue.comments.find((c) => c.id === commentId);
+      if (comment) return { issue, comment };
+    }
+    throw notFound();
+  }
+
+  function addEvent(issue, event, extra = {}) {
+    issue.events.push({
+      id: newId(),
+      event,
+      actor: getUser(standIn.actor),
+      created_at: new Date().toISOString(),
+      ...extra,
+    });
+  }
+
+  function addIssueLabels(issue, names) {
+    for (const name of names) {
+      const label = ensureLabel(name);
+      if (!issue.labels.includes(label.name)) {
+        issue.labels.push(label.name);
+        addEvent(issue, "labeled", { label: { name: label.name } });
+      }
+    }
+  }
+
+  function setIssueState(issue, value) {
+    if (value === issue.state) return;
+    issue.state = value;
+    issue.closed_at = value === "closed" ? new Date().toISOString() : null;
+    addEvent(issue, value === "closed" ? "closed" : "reopened");
+  }
+
+  function paginate(items, query) {
+    const perPage = Math.min(Number(query.get("per_page")) || 30, 100);
+    const page = Math.max(Number(query.get("page")) || 1, 1);
+    return {
+      items: items.slice((page - 1) * perPage, page * perPage),
+      hasNext: page * perPage < items.length,
+      page,
+    };
+  }
+
+  // === REST routes ===
+
+  const routes = [
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/issues/comments/:comment_id",
+      "issues.getComment",
+      ({ params }) => {
+        const { issue, comment } = findComment(params.comment_id);
+        return serializeComment(issue, comment);
+      }
+    ),
+    compileRoute(
+      "PATCH",
+      "/repos/:owner/:repo/issues/comments/:comment_id",
+      "issues.updateComment",
+      ({ params, body }) => {
+        const { issue, comment } = findComment(params.comment_id);
+        comment.body = body.body;
+        comment.updated_at = new Date().toISOString();
+        return serializeComment(issue, comment);
+      }
+    ),
+    compileRoute(
+      "DELETE",
+      "/repos/:owner/:repo/issues/comments/:comment_id",
+      "issues.deleteComment",
+      ({ params }) => {
+        const { issue, comment } = findComment(params.comment_id);
+        issue.comments.splice(issue.comments.indexOf(comment), 1);
+        return null;
+      }
+    ),
+    compileRoute(
+      "POST",
+      "/repos/:owner/:repo/issues/comments/:comment_id/reactions",
+      "reactions.createForIssueComment",
+      ({ params, body }) => {
+        findComment(params.comment_id);
+        return {
+          id: newId(),
+          content: body.content,
+          user: getUser(standIn.actor),
+        };
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/issues",
+      "issues.listForRepo",
+      ({ query }) => {
+        const stateFilter = query.get("state") || "open";
+        const labelFilter = (query.get("labels") || "")
+          .split(",")
+          .map((name) => name.trim().toLowerCase())
+          .filter(Boolean);
+        const matching = [...issues.values()]
+          .filter((issue) => !issue.deleted)
+          .filter(
+            (issue) => stateFilter === "all" || issue.state === stateFilter
+          )
+          .filter((issue) =>
+            labelFilter.every((name) =>
+              issue.labels.some((label) => label.toLowerCase() === name)
+            )
+          )
+          .sort((a, b) => b.number - a.number);
+        return paginate(matching.map(serializeIssue), query);
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/issues/:issue_number",
+      "issues.get",
+      ({ params }) => serializeIssue(getIssue(params.issue_number))
+    ),
+    compileRoute(
+      "PATCH",
+      "/repos/:owner/:repo/issues/:issue_number",
+      "issues.update",
+      ({ params, body }) => {
+        const issue = getIssue(params.issue_number);
+        if (body.title !== undefined) issue.title = body.title;
+        if (body.body !== undefined) issue.body = body.body;
+        if (body.state !== undefined) setIssueState(issue, body.state);
+        if (body.labels !== undefined) {
+          issue.labels = [];
+          addIssueLabels(
+            issue,
+            body.labels.map((l) => (typeof l === "string" ? l : l.name))
+          );
+        }
+        issue.updated_at = new Date().toISOString();
+        return serializeIssue(issue);
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/issues/:issue_number/labels",
+      "issues.listLabelsOnIssue",
+      ({ params, query }) => {
+        const issue = getIssue(params.issue_number);
+        return paginate(
+          issue.labels.map((name) => serializeLabel(ensureLabel(name))),
+          query
+        );
+      }
+    ),
+    compileRoute(
+      "POST",
+      "/repos/:owner/:repo/issues/:issue_number/labels",
+      "issues.addLabels",
+      ({ params, body }) => {
+        const issue = getIssue(params.issue_number);
+        addIssueLabels(issue, body.labels || []);
+        return issue.labels.map((name) => serializeLabel(ensureLabel(name)));
+      }
+    ),
+    compileRoute(
+      "DELETE",
+      "/repos/:owner/:repo/issues/:issue_number/labels/:name",
+      "issues.removeLabel",
+      ({ params }) => {
+        const issue = getIssue(params.issue_number);
+        const name = String(params.name);
+        const index = issue.labels.findIndex(
+          (label) => label.toLowerCase() === name.toLowerCase()
+        );
+        if (index === -1) {
+          throw new StandInError(404, "Label does not exist");
+        }
+        const [removed] = issue.labels.splice(index, 1);
+        addEvent(issue, "unlabeled", { label: { name: removed } });
+        return issue.labels.map((label) => serializeLabel(ensureLabel(label)));
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/issues/:issue_number/comments",
+      "issues.listComments",
+      ({ params, query }) => {
+        const issue = getIssue(params.issue_number);
+        return paginate(
+          issue.comments.map((comment) => serializeComment(issue, comment)),
+          query
+        );
+      }
+    ),
+    compileRoute(
+      "POST",
+      "/repos/:owner/:repo/issues/:issue_number/comments",
+      "issues.createComment",
+      ({ params, body }) => {
+        const issue = getIssue(params.issue_number);
+        const now = new Date().toISOString();
+        const comment = {
+          id: newId(),
+          body: body.body,
+          user: getUser(standIn.actor),
+          created_at: now,
+          updated_at: now,
+        };
+        issue.comments.push(comment);
+        return serializeComment(issue, comment);
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/issues/:issue_number/timeline",
+      "issues.listEventsForTimeline",
+      ({ params, query }) => {
+        const issue = getIssue(params.issue_number);
+        return paginate(issue.events, query);
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/labels",
+      "issues.listLabelsForRepo",
+      ({ query }) => paginate(labels.map(serializeLabel), query)
+    ),
+    compileRoute(
+      "POST",
+      "/repos/:owner/:repo/labels",
+      "issues.createLabel",
+      ({ body }) => {
+        if (findLabel(body.name)) {
+          throw new StandInError(422, "Validation Failed");
+        }
+        const label = {
+          id: newId(),
+          name: body.name,
+          color: body.color || "ededed",
+          description: body.description ?? null,
+        };
+        labels.push(label);
+        return serializeLabel(label);
+      }
+    ),
+    compileRoute(
+      "PATCH",
+      "/repos/:owner/:repo/labels/:name",
+      "issues.updateLabel",
+      ({ params, body }) => {
+        const label = findLabel(String(params.name));
+        if (!label) throw notFound();
+        if (body.new_name !== undefined) {
+          for (const issue of issues.values()) {
+            issue.labels = issue.labels.map((name) =>
+              name === label.name ? body.new_name : name
+            );
+          }
+          label.name = body.new_name;
+        }
+        if (body.color !== undefined) label.color = body.color;
+        if (body.description !== undefined) {
+          label.description = body.description;
+        }
+        return serializeLabel(label);
+      }
+    ),
+    compileRoute(
+      "DELETE",
+      "/repos/:owner/:repo/labels/:name",
+      "issues.deleteLabel",
+      ({ params }) => {
+        const label = findLabel(String(params.name));
+        if (!label) throw notFound();
+        labels.splice(labels.indexOf(label), 1);
+        for (const issue of issues.values()) {
+          issue.labels = issue.labels.filter((name) => name !== label.name);
+        }
+        return null;
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/repos/:owner/:repo/collaborators/:username/permission",
+      "repos.getCollaboratorPermissionLevel",
+      ({ params }) => {
+        const permission = collaborators[params.username] || "read";
+        return {
+          permission,
+          role_name: permission,
+          user: getUser(String(params.username)),
+        };
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/orgs/:org/memberships/:username",
+      "orgs.getMembershipForUser",
+      ({ params }) => {
+        const membership = orgMembers[params.username];
+        if (!membership) throw notFound();
+        return {
+          state: membership,
+          role: "member",
+          organization: { login: org.login },
+          user: getUser(String(params.username)),
+        };
+      }
+    ),
+    compileRoute(
+      "GET",
+      "/search/issues",
+      "search.issuesAndPullRequests",
+      ({ query }) => {
+        const matching = searchIssues(query.get("q") || "");
+        const { items, hasNext, page } = paginate(matching, query);
+        return {
+          items: {
+            total_count: matching.length,
+            incomplete_results: false,
+            items,
+          },
+          hasNext,
+          page,
+        };
+      }
+    ),
+    compileRoute("POST", "/__ocr", "ocr.extract", () => {
+      if (!state.ocr) throw notFound();
+      return state.ocr;
+    }),
+    compileRoute(
+      "GET",
+      "/__steam/IStoreService/GetAppList/v1/",
+      "steam.getAppList",
+      ({ query }) => {
+        if (!state.steamApps) throw notFound();
+        const lastAppId = Number(query.get("last_appid")) || 0;
+        const maxResults = Number(query.get("max_results")) || 10000;
+        const remaining = state.steamApps
+          .filter((app) => app.appid > lastAppId)
+          .sort((a, b) => a.appid - b.appid);
+        const apps = remaining.slice(0, maxResults);
+        return {
+          response: {
+            apps,
+            have_more_results: remaining.length > apps.length,
+            last_appid: apps.length > 0 ? apps[apps.length - 1].appid : 0,
+          },
+        };
+      }
+    ),
+  ];
+
+  // Supports the search qualifiers used by the scripts: repo, author, is, state, label and created
+  function searchIssues(q) {
+    const terms = q.split(/\s+/).filter(Boolean);
+    return [...issues.values()]
+      .filter((issue) => !issue.deleted)
+      .filter((issue) =>
+        terms.every((term) => {
+          const [key, ...rest] = term.split(":");
+          const value = rest.join(":");
+          switch (key) {
+            case "repo":
+              return value.toLowerCase() === `${owner}/${repo}`.toLowerCase();
+            case "author":
+              return issue.user.login === value;
+            case "is":
+              return value === "issue"
+                ? !issue.pull_request
+                : value === issue.state;
+            case "state":
+              return issue.state === value;
+            case "label":
+              return issue.labels.includes(value);
+            case "created": {
+              const m = value.match(/^(>=|<=|>|<)?(.+)$/);
+              const created = new Date(issue.created_at).getTime();
+              const bound = new Date(m[2]).getTime();
+              switch (m[1]) {
+                case ">=":
+                  return created >= bound;
+                case ">":
+                  return created > bound;
+                case "<=":
+                  return created <= bound;
+                case "<":
+                  return created < bound;
+                default:
+                  return created === bound;
+              }
+            }
+            default:
+              return true;
+          }
+        })
+      )
+      .map(serializeIssue);
+  }
+
+  // === GraphQL ===
+
+  function findProject(id) {
+    const project = projects.find((p) => p.id === id);
+    if (!project) {
+      throw new StandInError(
+        200,
+        `Could not resolve to a node with the global id of '${id}'`
+      );
+    }
+    return project;
+  }
+
+  function findIssueByNodeId(nodeId) {
+    const issue = [...issues.values()].find(
+      (i) => i.node_id === nodeId && !i.deleted
+    );
+    if (!issue) {
+      throw new StandInError(
+        200,
+        `Could not resolve to a node with the global id of '${nodeId}'`
+      );
+    }
+    return issue;
+  }
+
+  function connection(nodes, after, first = 100) {
+    const start = after ? Number(after) : 0;
+    const page = nodes.slice(start, start + first);
+    const end = start + page.length;
+    return {
+      nodes: page,
+      pageInfo: {
+        hasNextPage: end < nodes.length,
+        endCursor: page.length ? String(end) : null,
+      },
+    };
+  }
+
+  const graphqlMutations = {
+    deleteIssue({ input }) {
+      findIssueByNodeId(input.issueId).deleted = true;
+      return { deleteIssue: { clientMutationId: null } };
+    },
+    createProjectV2({ title }) {
+      const project = createProject(title);
+      return {
+        createProjectV2: {
+          projectV2: { id: project.id, title: project.title, url: project.url },
+        },
+      };
+    },
+    updateProjectV2({ projectId, title, readme, description }) {
+      const project = findProject(projectId);
+      if (title !== undefined) project.title = title;
+      if (readme !== undefined) project.readme = readme;
+      if (description !== undefined) project.shortDescription = description;
+      project.public = true;
+      return {
+        updateProjectV2: {
+          projectV2: {
+            id: project.id,
+            title: project.title,
+            readme: project.readme,
+            shortDescription: project.shortDescription,
+          },
+        },
+      };
+    },
+    updateProjectV2Field({ input }) {
+      const field = projects
+        .flatMap((p) => p.fields)
+        .find((f) => f.id === input.fieldId);
+      if (!field) {
+        throw new StandInError(
+          200,
+          `Could not resolve to a node with the global id of '${input.fieldId}'`
+        );
+      }
+      field.options = input.singleSelectOptions.map((option) => ({
+        name: option.name,
+        description: option.description,
+      }));
+      return {
+        updateProjectV2Field: {
+          projectV2Field: { name: field.name, options: field.options },
+        },
+      };
+    },
+    addProjectV2ItemById({ projectId, contentId }) {
+      const project = findProject(projectId);
+      findIssueByNodeId(contentId);
+      let item = project.items.find((i) => i.contentId === contentId);
+      if (!item) {
+        item = { id: `PVTI_${newId()}`, contentId };
+        project.items.push(item);
+      }
+      return { addProjectV2ItemById: { item: { id: item.id } } };
+    },
+    deleteProjectV2Item({ itemId, projectId }) {
+      const project = findProject(projectId);
+      const index = project.items.findIndex((i) => i.id === itemId);
+      if (index === -1) {
+        throw new StandInError(
+          200,
+          `Could not resolve to a node with the global id of '${itemId}'`
+        );
+      }
+      project.items.splice(index, 1);
+      return { deleteProjectV2Item: { clientMutationId: null } };
+    },
+  };
+
+  function resolveGraphqlQuery(query, variables) {
+    if (/\brepository\s*\(/.test(query)) {
+      const issue = issues.get(variables.issueNumber);
+      if (!issue || issue.deleted) {
+        return { repository: { issue: null } };
+      }
+      return {
+        repository: {
+          issue: {
+            id: issue.node_id,
+            projectsV2: {
+              nodes: projects
+                .filter((p) =>
+                  p.items.some((item) => item.contentId === issue.node_id)
+                )
+                .map((p) => ({ id: p.id, title: p.title })),
+            },
+          },
+        },
+      };
+    }
+    if (/\borganization\s*\(/.test(query)) {
+      if (variables.login.toLowerCase() !== org.login.toLowerCase()) {
+        throw new StandInError(
+          200,
+          `Could not resolve to an Organization with the login of '${variables.login}'.`
+        );
+      }
+      return { organization: { id: org.id } };
+    }
+    if (/\bnode\s*\(/.test(query) && /\bitems\s*\(/.test(query)) {
+      const project = findProject(variables.projectId);
+      return {
+        node: {
+          items: connection(
+            project.items.map((item) => ({
+              id: item.id,
+              content: { id: item.contentId },
+            })),
+            variables.cursor
+          ),
+        },
+      };
+    }
+    if (/\bnode\s*\(/.test(query) && /\bfields\s*\(/.test(query)) {
+      const project = findProject(variables.projectId);
+      return {
+        node: {
+          fields: {
+            nodes: project.fields.map((f) => ({ id: f.id, name: f.name })),
+          },
+        },
+      };
+    }
+    if (/\bnode\s*\(/.test(query) && /\bprojectsV2\s*\(/.test(query)) {
+      if (variables.orgId !== org.id) {
+        return { node: null };
+      }
+      return {
+        node: {
+          projectsV2: connection(
+            projects.map((p) => ({ id: p.id, title: p.title, url: p.url })),
+            variables.cursor
+          ),
+        },
+      };
+    }
+    throw new StandInError(
+      200,
+      "The GitHub stand-in does not support this query"
+    );
+  }
+
+  function handleGraphql(body) {
+    const query = body.query || "";
+    const variables = body.variables || {};
+    if (/^\s*mutation\b/.test(query)) {
+      const name = Object.keys(graphqlMutations).find((key) =>
+        new RegExp(`\\b${key}\\s*\\(`).test(query)
+      );
+      if (!name) {
+        throw new StandInError(
+          200,
+          "The GitHub stand-in does not support this mutation"
+        );
+      }
+      standIn.mutations.push({ action: `graphql.${name}`, ...variables });
+      return graphqlMutations[name](variables);
+    }
+    return resolveGraphqlQuery(query, variables);
+  }
+
+  // === HTTP server ===
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        try {
+          resolve(text ? JSON.parse(text) : {});
+        } catch (error) {
+          reject(new StandInError(400, "Problems parsing JSON"));
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  function send(res, status, data, headers = {}) {
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(data === null ? "" : JSON.stringify(data));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, baseUrl);
+    const body = await readBody(req);
+
+    if (url.pathname === "/graphql" && req.method === "POST") {
+      try {
+        return send(res, 200, { data: handleGraphql(body) });
+      } catch (error) {
+        return send(res, 200, {
+          data: null,
+          errors: [{ type: "NOT_FOUND", message: error.message }],
+        });
+      }
+    }
+
+    for (const route of routes) {
+      if (route.method !== req.method) continue;
+      const params = route.match(url.pathname);
+      if (!params) continue;
+
+      if (req.method !== "GET") {
+        const { owner: _owner, repo: _repo, ...recorded } = params;
+        standIn.mutations.push({ action: route.action, ...recorded, ...body });
+      }
+      const result = route.handler({ params, query: url.searchParams, body });
+      if (result === null) {
+        return send(res, 204, null);
+      }
+      if (result && result.hasNext !== undefined) {
+        const headers = {};
+        if (result.hasNext) {
+          const next = new URL(url);
+          next.searchParams.set("page", String(result.page + 1));
+          headers.link = `<${next.href}>; rel="next"`;
+        }
+        return send(res, 200, result.items, headers);
+      }
+      return send(res, req.method === "POST" ? 201 : 200, result);
+    }
+
+    throw new StandInError(
+      404,
+      `The GitHub stand-in does not support ${req.method} ${url.pathname}`
+    );
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      send(res, error.status || 500, {
+        message: error.message,
+        documentation_url: "https://docs.github.com/rest",
+      });
+    });
+  });
+
+  /**
+   * Edits an issue directly without recording a mutation (eg. an edit made by the author).
+   * @param {number} number - The issue number.
+   * @param {object} changes - The new title, body (string or array of lines) and/or state.
+   */
+  function updateIssue(number, changes) {
+    const issue = getIssue(number);
+    if (changes.title !== undefined) issue.title = changes.title;
+    if (changes.body !== undefined) {
+      issue.body = Array.isArray(changes.body)
+        ? changes.body.join("\n")
+        : changes.body;
+    }
+    if (changes.state !== undefined) setIssueState(issue, changes.state);
+    issue.updated_at = new Date().toISOString();
+  }
+
+  /**
+   * Starts listening on a random local port.
+   * @returns {Promise<string>} The base URL to use as GITHUB_API_URL.
+   */
+  function start() {
+    return new Promise((resolve) => {
+      server.listen(0, "127.0.0.1", () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve(baseUrl);
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Returns a plain summary of the current state for assertions.
+   * @returns {object} The issues (by number), label names and projects.
+   */
+  function snapshot() {
+    return {
+      issues: Object.fromEntries(
+        [...issues.values()].map((issue) => [
+          issue.number,
+          {
+            deleted: issue.deleted,
+            title: issue.title,
+            body: issue.body,
+            state: issue.state,
+            labels: [...issue.labels].sort(),
+            comments: issue.comments.map((comment) => ({
+              user: comment.user.login,
+              body: comment.body,
+            })),
+          },
+        ])
+      ),
+      labels: labels.map((label) => ({
+        name: label.name,
+        color: label.color,
+        description: label.description,
+      })),
+      projects: projects.map((project) => ({
+        title: project.title,
+        shortDescription: project.shortDescription,
+        readme: project.readme,
+        public: project.public,
+        status: project.fields[0].options.map((option) => option.name),
+        items: project.items.map((item) =>
+          Number(item.contentId.replace(/^I_/, ""))
+        ),
+      })),
+    };
+  }
+
+  return standIn;
+}
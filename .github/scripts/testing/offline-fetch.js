@@ -0,0 +1,28 @@
+/**
+ * File: offline-fetch.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:15:36 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:15:36 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+// Preloaded with `node --import ./testing/offline-fetch.js` when running the
+// scripts against the GitHub stand-in. Requests to any other host (Steam CDN,
+// SteamGridDB, ...) are answered with a 404 instead of reaching the network.
+
+const apiUrl = process.env.GITHUB_API_URL;
+const realFetch = globalThis.fetch;
+
+globalThis.fetch = async (input, init) => {
+  const url = typeof input === "string" ? input : input.url || String(input);
+  if (apiUrl && url.startsWith(apiUrl)) {
+    return realFetch(input, init);
+  }
+  console.log(`offline-fetch: blocked request to ${url}`);
+  return new Response(JSON.stringify({ message: "Not Found" }), {
+    status: 404,
+    headers: { "content-type": "application/json" },
+  });
+};
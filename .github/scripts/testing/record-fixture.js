@@ -0,0 +1,112 @@
+/**
+ * File: record-fixture.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:18:05 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 2:18:05 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { createOctokit } from "../github-client.js";
+
+dotenv.config(); // Load environment variables from .env for local testing
+
+// Records a real issue (body, labels, comments and label events) as a fixture
+// that can be replayed with run-fixtures.js.
+//
+// Usage:
+//   ISSUE_NUMBER=123 REPO_OWNER=DeckSettings REPO_NAME=game-reports-steamos \
+//     node testing/record-fixture.js <fixture name>
+//
+// Only the initial state is recorded. Add the steps to run and the expected
+// mutations to the generated file by hand.
+
+const octokit = createOctokit();
+
+const fixturesDir = path.join(
+  path.dirname(new URL(import.meta.url).pathname),
+  "fixtures"
+);
+
+async function run() {
+  const issueNumber = parseInt(process.env.ISSUE_NUMBER, 10);
+  const owner = process.env.REPO_OWNER;
+  const repo = process.env.REPO_NAME;
+  const name = process.argv[2];
+
+  if (!issueNumber || !owner || !repo || !name) {
+    console.error(
+      "Usage: ISSUE_NUMBER=<n> REPO_OWNER=<owner> REPO_NAME=<repo> node testing/record-fixture.js <fixture name>"
+    );
+    process.exit(1);
+  }
+
+  const { data: issue } = await octokit.issues.get({
+    owner,
+    repo,
+    issue_number: issueNumber,
+  });
+  const comments = await octokit.paginate(octokit.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  });
+  const events = await octokit.paginate(octokit.issues.listEventsForTimeline, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100,
+  });
+
+  const fixture = {
+    description: `Recorded from ${owner}/${repo}#${issueNumber}`,
+    env: {
+      ISSUE_NUMBER: String(issueNumber),
+    },
+    state: {
+      owner,
+      repo,
+      labels: "config/labels.json",
+      issues: [
+        {
+          number: issue.number,
+          title: issue.title,
+          state: issue.state,
+          user: { login: issue.user.login, id: issue.user.id },
+          created_at: issue.created_at,
+          labels: issue.labels.map((label) => label.name),
+          body: (issue.body || "").split(/\r?\n/),
+          comments: comments.map((comment) => ({
+            id: comment.id,
+            user: { login: comment.user.login, id: comment.user.id },
+            created_at: comment.created_at,
+            body: comment.body,
+          })),
+          events: events
+            .filter((e) => e.event === "labeled" || e.event === "unlabeled")
+            .map((e) => ({
+              event: e.event,
+              label: e.label?.name,
+              actor: e.actor?.login,
+              created_at: e.created_at,
+            })),
+        },
+      ],
+    },
+    steps: [],
+  };
+
+  const fixturePath = path.join(fixturesDir, `${name}.json`);
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 4));
+  console.log(`Recorded issue #${issueNumber} to ${fixturePath}`);
+}
+
+run().catch((error) => {
+  console.error("An error occurred:", error);
+  process.exit(1);
+});
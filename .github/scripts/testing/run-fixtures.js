@@ -0,0 +1,340 @@
+/**
+ * File: run-fixtures.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:16:01 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 4:01:27 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { pathToFileURL } from "url";
+import {
+  createGitHubStandIn,
+  resolveRelativeTimes,
+} from "./github-stand-in.js";
+
+// Replays the issue fixtures in testing/fixtures/ against the GitHub stand-in.
+//
+// Usage:
+//   node testing/run-fixtures.js [--verbose] [fixture name ...]
+//
+// Each fixture is a JSON file with:
+//   description  What the fixture covers
+//   state        The initial stand-in state (see createGitHubStandIn). The
+//                labels can be the path of a labels file, eg. "config/labels.json"
+//   env          Environment variables for every step (eg. ISSUE_NUMBER)
+//   steps        Scripts to run in order. A step of { "update": { "issue": 1, ... } }
+//                instead edits the issue (title, body, state) as a user would.
+//                A step of { "call": "common.js#parseReportBody", "args": [...],
+//                "returns": ... } instead calls a function exported by a script
+//                module and matches its result. "call" can also list several
+//                functions; each one is passed the result of the one before.
+//                Other steps have:
+//                  script     The script file name, eg. "update-issue-title.js"
+//                  args       Optional command line arguments
+//                  env        Optional environment variables for this step
+//                  actor      The login the script acts as (default "github-actions[bot]")
+//                  exitCode   The expected exit code (default 0)
+//                  mutations  The exact list of mutations the step must make
+//                  outputs    Expected action outputs (core.setOutput)
+//   expect       Expected final state, matched against the stand-in snapshot
+//
+// Expected values are matched as a subset: objects only need to contain the
+// listed keys, arrays must have the same length. Strings can also be matched
+// with { "$contains": "..." } or { "$notContains": "..." }, and arrays with
+// { "$includes": [...] } to only check that the listed items appear in order.
+
+const testingDir = path.dirname(new URL(import.meta.url).pathname);
+const scriptsDir = path.resolve(testingDir, "..");
+const fixturesDir = path.join(testingDir, "fixtures");
+const offlineFetchUrl = pathToFileURL(
+  path.join(testingDir, "offline-fetch.js")
+).href;
+
+const STEP_TIMEOUT_MS = 60 * 1000;
+
+// Returns a list of differences between an actual value and the expected subset
+function compare(actual, expected, at = "") {
+  if (expected && typeof expected === "object" && !Array.isArray(expected)) {
+    if ("$contains" in expected) {
+      return typeof actual === "string" && actual.includes(expected.$contains)
+        ? []
+        : [`${at}: expected to contain ${JSON.stringify(expected.$contains)}`];
+    }
+    if ("$notContains" in expected) {
+      return typeof actual === "string" &&
+        !actual.includes(expected.$notContains)
+        ? []
+        : [
+            `${at}: expected not to contain ${JSON.stringify(
+              expected.$notContains
+            )}`,
+          ];
+    }
+    if ("$includes" in expected) {
+      return includesInOrder(actual, expected.$includes, at);
+    }
+    if (!actual || typeof actual !== "object" || Array.isArray(actual)) {
+      return [`${at}: expected an object, got ${JSON.stringify(actual)}`];
+    }
+    return Object.entries(expected).flatMap(([key, value]) =>
+      compare(actual[key], value, at ? `${at}.${key}` : key)
+    );
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) {
+      return [`${at}: expected an array, got ${JSON.stringify(actual)}`];
+    }
+    if (actual.length !== expected.length) {
+      return [
+        `${at}: expected ${expected.length} item(s), got ${
+          actual.length
+        }: ${JSON.stringify(actual, null, 2)}`,
+      ];
+    }
+    return expected.flatMap((value, i) =>
+      compare(actual[i], value, `${at}[${i}]`)
+    );
+  }
+  return actual === expected
+    ? []
+    : [
+        `${at}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(
+          actual
+        )}`,
+      ];
+}
+
+// Checks that every expected item matches an item of the array, in order
+function includesInOrder(actual, expected, at) {
+  if (!Array.isArray(actual)) {
+    return [`${at}: expected an array, got ${JSON.stringify(actual)}`];
+  }
+  let index = 0;
+  for (const value of expected) {
+    while (index < actual.length && compare(actual[index], value).length) {
+      index++;
+    }
+    if (index === actual.length) {
+      return [
+        `${at}: expected to include ${JSON.stringify(
+          value
+        )} in order, got ${JSON.stringify(actual, null, 2)}`,
+      ];
+    }
+    index++;
+  }
+  return [];
+}
+
+// Reads the outputs written by @actions/core to the GITHUB_OUTPUT file
+function readActionOutputs(outputFile) {
+  if (!fs.existsSync(outputFile)) {
+    return {};
+  }
+  const outputs = {};
+  const pattern = /^(.+?)<<(\S+)\n([\s\S]*?)\n\2$/gm;
+  const text = fs.readFileSync(outputFile, "utf-8");
+  let m;
+  while ((m = pattern.exec(text)) !== null) {
+    outputs[m[1]] = m[3];
+  }
+  return outputs;
+}
+
+function runScript(step, env, cwd) {
+  return new Promise((resolve) => {
+    const child = spawn(
+      process.execPath,
+      [
+        "--import",
+        offlineFetchUrl,
+        path.join(scriptsDir, step.script),
+        ...(step.args || []),
+      ],
+      { cwd, env }
+    );
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    const timer = setTimeout(() => {
+      output += `\nrun-fixtures: timed out after ${STEP_TIMEOUT_MS}ms`;
+      child.kill();
+    }, STEP_TIMEOUT_MS);
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+// Calls the functions of a "call" step in order, passing each result to the next
+async function callFunctions(step) {
+  let result;
+  for (const [index, target] of [].concat(step.call).entries()) {
+    const [file, name] = target.split("#");
+    const module = await import(
+      pathToFileURL(path.join(scriptsDir, file)).href
+    );
+    result = await module[name](...(index === 0 ? step.args || [] : [result]));
+  }
+  return result;
+}
+
+// Labels may be given as the path of a labels file, eg. "config/labels.json"
+function loadFixtureState(fixture) {
+  const state = resolveRelativeTimes(fixture.state || {});
+  if (typeof state.labels === "string") {
+    state.labels = JSON.parse(
+      fs.readFileSync(path.join(scriptsDir, state.labels), "utf-8")
+    );
+  }
+  return state;
+}
+
+async function runFixture(fixture) {
+  const state = loadFixtureState(fixture);
+  const standIn = createGitHubStandIn(state);
+  const apiUrl = await standIn.start();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "report-fixture-"));
+  const failures = [];
+  const logs = [];
+
+  try {
+    for (const [index, step] of (fixture.steps || []).entries()) {
+      standIn.actor = step.actor || "github-actions[bot]";
+      if (step.update) {
+        // Simulate a user editing the issue between script runs
+        standIn.updateIssue(step.update.issue, step.update);
+        continue;
+      }
+
+      if (step.call) {
+        failures.push(
+          ...compare(
+            await callFunctions(step),
+            step.returns,
+            `steps[${index}] ${[].concat(step.call).join(" → ")} returns`
+          )
+        );
+        continue;
+      }
+
+      const label = `steps[${index}] ${step.script}`;
+      const outputFile = path.join(workDir, `output-${index}`);
+      fs.writeFileSync(outputFile, "");
+      const env = {
+        PATH: process.env.PATH,
+        TZ: "UTC",
+        GITHUB_TOKEN: "test",
+        GITHUB_API_URL: apiUrl,
+        GITHUB_OUTPUT: outputFile,
+        REPO_OWNER: state.owner || "DeckSettings",
+        REPO_NAME: state.repo || "game-reports-steamos",
+        ORG_LOGIN: state.org || state.owner || "DeckSettings",
+        OCR_API_ENDPOINT: `${apiUrl}/__ocr`,
+        OCR_API_KEY: "test",
+        STEAM_API_URL: `${apiUrl}/__steam`,
+        STEAM_API_KEY: "test",
+        STEAM_APP_LIST_PATH: path.join(workDir, "steam-app-list.json"),
+        ...fixture.env,
+        ...step.env,
+      };
+
+      const firstMutation = standIn.mutations.length;
+      const { code, output } = await runScript(step, env, workDir);
+      logs.push(`--- ${label} (exit ${code}) ---\n${output.trimEnd()}`);
+
+      const expectedCode = step.exitCode ?? 0;
+      if (code !== expectedCode) {
+        failures.push(
+          `${label}: expected exit code ${expectedCode}, got ${code}`
+        );
+      }
+      if (step.mutations) {
+        failures.push(
+          ...compare(
+            standIn.mutations.slice(firstMutation),
+            step.mutations,
+            `${label} mutations`
+          )
+        );
+      }
+      if (step.outputs) {
+        failures.push(
+          ...compare(
+            readActionOutputs(outputFile),
+            step.outputs,
+            `${label} outputs`
+          )
+        );
+      }
+    }
+
+    if (fixture.expect) {
+      failures.push(...compare(standIn.snapshot(), fixture.expect, "state"));
+    }
+  } finally {
+    await standIn.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  return { failures, logs };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes("--verbose");
+  const selected = args.filter((arg) => !arg.startsWith("--"));
+
+  const files = fs
+    .readdirSync(fixturesDir)
+    .filter((file) => file.endsWith(".json"))
+    .filter(
+      (file) =>
+        selected.length === 0 || selected.includes(path.basename(file, ".json"))
+    )
+    .sort();
+
+  if (files.length === 0) {
+    console.error("No fixtures found.");
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const fixture = JSON.parse(
+      fs.readFileSync(path.join(fixturesDir, file), "utf-8")
+    );
+    const name = path.basename(file, ".json");
+    const { failures, logs } = await runFixture(fixture);
+
+    if (failures.length === 0) {
+      console.log(`✔ ${name}`);
+    } else {
+      failed++;
+      console.log(`✘ ${name} - ${fixture.description || ""}`);
+      for (const failure of failures) {
+        console.log(`    ${failure.replace(/\n/g, "\n    ")}`);
+      }
+    }
+    if (verbose || failures.length > 0) {
+      console.log(`${logs.join("\n")}\n`);
+    }
+  }
+
+  console.log(`\n${files.length - failed} passed, ${failed} failed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error("An error occurred:", error);
+  process.exit(1);
+});
@@ -4,45 +4,28 @@
  * File Created: Thursday, 26th December 2024 10:04:20 pm
  * Author: Josh5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Tuesday, 23rd September 2025 1:13:10 pm
+ * Last Modified: Monday, 19th October 2026 2:18:16 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
-import { extractHeadingValue } from "./common.js";
+import {
+  fetchRepoLabels,
+  getSectionContent,
+  parseReportBody,
+} from "./common.js";
 import dotenv from "dotenv";
+import { createOctokit } from "./github-client.js";
 
 dotenv.config(); // Load environment variables from .env for local testing
 
 // Initialize Octokit with the provided GITHUB_TOKEN
-const octokit = new Octokit({
-  auth: process.env.GITHUB_TOKEN,
-});
+const octokit = createOctokit();
 
 const DEFAULT_LAUNCHER_LABEL = "LAUNCHER: Other";
 
 async function fetchLabels(owner, repo) {
   try {
-    const perPage = 100;
-    let page = 1;
-    let allLabels = [];
-
-    while (true) {
-      const { data: labels } = await octokit.issues.listLabelsForRepo({
-        owner,
-        repo,
-        per_page: perPage,
-        page,
-      });
-      if (labels.length === 0) break;
-      allLabels = allLabels.concat(labels);
-      page += 1;
-    }
-
-    return allLabels.map((label) => ({
-      name: label.name,
-      description: label.description || "",
-    }));
+    return await fetchRepoLabels(octokit, owner, repo);
   } catch (error) {
     console.error(`Error fetching labels: ${error.message}`);
     throw error;
@@ -134,14 +117,13 @@ async function run() {
       issue_number: issueNumber,
     });
 
-    const body = issue.body || "";
-    const lines = body.split(/\r?\n/);
+    const report = parseReportBody(issue.body || "");
 
     // Fetch all labels
     const labels = await fetchLabels(owner, repo);
 
     // Extract "Device" label value
-    const deviceValue = extractHeadingValue(lines, "Device");
+    const deviceValue = getSectionContent(report, "Device");
     if (deviceValue) {
       const deviceText = (deviceValue || "").trim();
       let matchingDeviceName = null;
@@ -177,7 +159,7 @@ async function run() {
     }
 
     // Extract "Launcher" label value
-    const launcherValue = extractHeadingValue(lines, "Launcher");
+    const launcherValue = getSectionContent(report, "Launcher");
     if (launcherValue) {
       const launcherText = launcherValue.trim();
       let matchingLauncherName = null;
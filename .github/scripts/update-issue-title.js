@@ -4,12 +4,12 @@
  * File Created: Thursday, 26th December 2024 2:56:33 pm
  * Author: Josh5 (jsunnex@gmail.com)
  * -----
- * Last Modified: Sunday, 28th September 2025 2:23:45 pm
+ * Last Modified: Monday, 19th October 2026 2:18:16 pm
  * Modified By: Josh.5 (jsunnex@gmail.com)
  */
 
-import { Octokit } from "@octokit/rest";
-import { extractHeadingValue } from "./common.js";
+import { getSectionContent, isNoResponse, parseReportBody } from "./common.js";
+import { createOctokit } from "./github-client.js";
 import dotenv from "dotenv";
 
 dotenv.config(); // Load environment variables from .env for local testing
@@ -44,7 +44,7 @@ function enforceTitleLimit(str, limit = 256) {
  * Updates the GitHub issue title based on its body content.
  */
 async function run() {
-  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+  const octokit = createOctokit();
 
   // Read Issue data
   const issueNumber = parseInt(process.env.ISSUE_NUMBER, 10);
@@ -63,16 +63,15 @@ async function run() {
     repo,
     issue_number: issueNumber,
   });
-  const body = issue.body || "";
-  const lines = body.split(/\r?\n/);
+  const report = parseReportBody(issue.body || "");
 
   // Process issue data
   try {
     // Extract values for "Game Name" and "Target Framerate", etc.
-    const reportSummary = extractHeadingValue(lines, "Summary");
-    const gameName = extractHeadingValue(lines, "Game Name");
-    const targetFramerate = extractHeadingValue(lines, "Target Framerate");
-    let appIdRaw = extractHeadingValue(lines, "App ID");
+    const reportSummary = getSectionContent(report, "Summary");
+    const gameName = getSectionContent(report, "Game Name");
+    const targetFramerate = getSectionContent(report, "Target Framerate");
+    let appIdRaw = getSectionContent(report, "App ID");
 
     // Check that gameName and targetFramerate exists. If not, then the issue will be marked as having an error. Lets quit this job
     if (!reportSummary) {
@@ -89,7 +88,7 @@ async function run() {
     }
 
     // App ID (optional, numeric only)
-    if (appIdRaw === "_No response_") {
+    if (isNoResponse(appIdRaw)) {
       appIdRaw = "";
     }
     if (!appIdRaw || isNaN(Number(appIdRaw))) {
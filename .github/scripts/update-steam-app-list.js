@@ -0,0 +1,105 @@
+/**
+ * File: update-steam-app-list.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:29:14 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:39:09 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { getSteamAppListPath } from "./steam-apps.js";
+
+dotenv.config(); // Load environment variables from .env for local testing
+
+// Downloads the list of Steam games into the local snapshot used to check
+// report App IDs (data/steam-app-list.json by default).
+//
+// Usage:
+//   node update-steam-app-list.js
+//
+// Requires STEAM_API_KEY. STEAM_API_URL overrides the Steam Web API address and
+// STEAM_APP_LIST_PATH overrides where the snapshot is written.
+
+// Number of apps requested per page (the Steam Web API maximum)
+const pageSize = 50000;
+
+async function fetchSteamApps(apiUrl, apiKey) {
+  const apps = {};
+  let lastAppId = 0;
+  while (true) {
+    const url = new URL(`${apiUrl}/IStoreService/GetAppList/v1/`);
+    url.searchParams.set("key", apiKey);
+    url.searchParams.set("include_games", "true");
+    url.searchParams.set("max_results", String(pageSize));
+    url.searchParams.set("last_appid", String(lastAppId));
+
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new Error(
+        `Steam Web API error: status ${resp.status} body: ${text?.slice(
+          0,
+          500
+        )}`
+      );
+    }
+    const { response = {} } = await resp.json();
+    for (const app of response.apps || []) {
+      apps[String(app.appid)] = app.name;
+    }
+    if (!response.have_more_results) break;
+    lastAppId = response.last_appid;
+  }
+  return apps;
+}
+
+async function main() {
+  const apiUrl = process.env.STEAM_API_URL || "https://api.steampowered.com";
+  const apiKey = process.env.STEAM_API_KEY;
+  if (!apiKey) {
+    console.error("Missing STEAM_API_KEY in environment.");
+    process.exit(1);
+  }
+
+  const apps = await fetchSteamApps(apiUrl, apiKey);
+  const count = Object.keys(apps).length;
+  if (count === 0) {
+    throw new Error(
+      "The Steam Web API returned no apps. Keeping the old list."
+    );
+  }
+
+  const snapshotPath = getSteamAppListPath();
+  const previous = fs.existsSync(snapshotPath)
+    ? JSON.parse(fs.readFileSync(snapshotPath, "utf-8")).apps
+    : {};
+  const added = Object.keys(apps).filter((id) => !(id in previous)).length;
+  const removed = Object.keys(previous).filter((id) => !(id in apps)).length;
+  const renamed = Object.keys(apps).filter(
+    (id) => id in previous && previous[id] !== apps[id]
+  ).length;
+
+  if (fs.existsSync(snapshotPath) && added + removed + renamed === 0) {
+    console.log(`The Steam app list at ${snapshotPath} is already up to date.`);
+    return;
+  }
+
+  // Written minified as the list holds every Steam game and is committed weekly
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(
+    snapshotPath,
+    JSON.stringify({ updated_at: new Date().toISOString(), apps })
+  );
+  console.log(
+    `Wrote ${count} Steam apps to ${snapshotPath} (${added} added, ${removed} removed, ${renamed} renamed).`
+  );
+}
+
+main().catch((error) => {
+  console.error("Error in script execution:", error);
+  process.exit(1);
+});
@@ -0,0 +1,295 @@
+/**
+ * File: versions.js
+ * Project: scripts
+ * File Created: Monday, 19th October 2026 2:20:17 pm
+ * Author: Josh.5 (jsunnex@gmail.com)
+ * -----
+ * Last Modified: Monday, 19th October 2026 3:30:00 pm
+ * Modified By: Josh.5 (jsunnex@gmail.com)
+ */
+
+import fs from "fs";
+import path from "path";
+import { findSection, getSectionText, setSectionContent } from "./common.js";
+import { DEFAULT_LANGUAGE, formatMessage } from "./messages.js";
+
+const versionsConfigPath = path.resolve(
+  path.dirname(new URL(import.meta.url).pathname),
+  "config/versions.json"
+);
+
+let versionCatalogue = null;
+
+/**
+ * Loads the version catalogue from config/versions.json.
+ * The file is only read once per process.
+ * @returns {object} The catalogue with `operating_systems`, `compatibility_tool_versions`
+ *   and `placeholder_values`.
+ */
+export function loadVersionCatalogue() {
+  if (!versionCatalogue) {
+    versionCatalogue = JSON.parse(fs.readFileSync(versionsConfigPath, "utf-8"));
+  }
+  return versionCatalogue;
+}
+
+// Values such as "latest" or "unknown" that are never a version
+function isPlaceholderValue(value) {
+  const text = value
+    .trim()
+    .toLowerCase()
+    .replace(/[.!]+$/, "");
+  return loadVersionCatalogue().placeholder_values.includes(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Returns the text after an OS name or alias, or null if the value does not start with one
+function stripOsName(value, os) {
+  // Try the longest names first so "CachyOS Handheld" is not matched as "CachyOS"
+  const names = [os.name, ...(os.aliases || [])].sort(
+    (a, b) => b.length - a.length
+  );
+  for (const name of names) {
+    const match = value.match(
+      new RegExp(`^${escapeRegExp(name)}(?![a-z0-9])[\\s_:-]*(.*)$`, "i")
+    );
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+// Splits a release channel (eg. "Beta", "(Preview)", "-beta") from a version
+function splitChannel(text, channels = []) {
+  for (const channel of channels) {
+    const pattern = escapeRegExp(channel);
+    const match =
+      text.match(new RegExp(`^(.*?)[\\s_-]*\\(?${pattern}\\)?$`, "i")) ||
+      text.match(new RegExp(`^\\(?${pattern}\\)?[\\s_-]*(.*)$`, "i"));
+    if (match) return { version: match[1].trim(), channel };
+  }
+  return { version: text, channel: null };
+}
+
+function formatOsVersion(os, version, channel) {
+  if (os.version_only) {
+    const defaultChannel = (os.channels || [])[0];
+    return channel && channel !== defaultChannel
+      ? `${version} ${channel}`
+      : version;
+  }
+  return version ? `${os.name}_${version}` : os.name;
+}
+
+/**
+ * Parses an "OS Version" value using the version catalogue.
+ * SteamOS versions are written as the bare version (eg. "3.7.13", or "3.7.13 Beta"
+ * for a non-stable channel). Other distros are written as `<DISTRO>_<VERSION>`
+ * (eg. "ChimeraOS_46-2"), or only the name for rolling releases (eg. "CachyOS").
+ * @param {string|null} value - The "OS Version" value from a report.
+ * @returns {{os: string|null, version: string|null, channel: string|null, canonical: string|null,
+ *   error: {key: string, values: object}|null}}
+ *   The parsed version. `canonical` is null when the value is not in a known format
+ *   and `error` is set to the message key and values of the problem when the value is
+ *   clearly not a version.
+ */
+export function parseOsVersion(value) {
+  const text = (value || "").trim();
+  const result = {
+    os: null,
+    version: null,
+    channel: null,
+    canonical: null,
+    error: null,
+  };
+  if (!text) return result;
+
+  if (isPlaceholderValue(text)) {
+    result.error = {
+      key: "checks.versions.notAnOsVersion",
+      values: { value: text },
+    };
+    return result;
+  }
+
+  for (const os of loadVersionCatalogue().operating_systems) {
+    let rest = stripOsName(text, os);
+    if (rest === null) {
+      // SteamOS versions are usually written without the OS name
+      if (!os.version_only) continue;
+      rest = text;
+    }
+
+    const { version, channel } = splitChannel(
+      rest.replace(/^v(?=\d)/i, ""),
+      os.channels
+    );
+    if (version && os.version_pattern) {
+      if (!new RegExp(os.version_pattern).test(version)) continue;
+    } else if (version && !/\d/.test(version)) {
+      continue;
+    } else if (!version && !os.rolling) {
+      result.os = os.name;
+      result.error = {
+        key: "checks.versions.missingOsVersion",
+        values: { os: os.name, example: os.example },
+      };
+      return result;
+    }
+
+    return {
+      os: os.name,
+      version: version || null,
+      channel,
+      canonical: formatOsVersion(os, version, channel),
+      error: null,
+    };
+  }
+
+  return result;
+}
+
+// Error for a compatibility tool version that is not a version
+function notAToolVersionError(text) {
+  return { key: "checks.versions.notAToolVersion", values: { value: text } };
+}
+
+// Returns the catalogue entry matching a compatibility tool version, preferring the selected tool
+function findToolVersionEntry(value, selectedTool) {
+  const entries = loadVersionCatalogue().compatibility_tool_versions;
+  const ordered = [
+    ...entries.filter((e) => e.tool === selectedTool),
+    ...entries.filter((e) => e.tool !== selectedTool),
+  ];
+  for (const entry of ordered) {
+    const match = value.match(new RegExp(entry.pattern, "i"));
+    if (match) return { entry, match };
+  }
+  return null;
+}
+
+/**
+ * Parses a "Compatibility Tool Version" value using the version catalogue.
+ * Known versions are written the way they are listed in the Steam compatibility
+ * tool menu (eg. "Proton 9.0-4", "Proton Experimental", "GE-Proton9-20").
+ * @param {string|null} value - The "Compatibility Tool Version" value from a report.
+ * @param {string|null} [selectedTool] - The "Steam Play Compatibility Tool Used" value.
+ *   Used to choose between versions that look the same for different tools.
+ * @returns {{tool: string|null, name: string|null, canonical: string|null,
+ *   error: {key: string, values: object}|null}}
+ *   The parsed version. `tool` is the compatibility tool the version belongs to.
+ */
+export function parseCompatibilityToolVersion(value, selectedTool = null) {
+  const text = (value || "").trim();
+  const result = { tool: null, name: null, canonical: null, error: null };
+  if (!text) return result;
+
+  if (/^default$/i.test(text)) {
+    return { ...result, name: "default", canonical: "default" };
+  }
+
+  if (isPlaceholderValue(text)) {
+    result.error = notAToolVersionError(text);
+    return result;
+  }
+
+  const found = findToolVersionEntry(text, selectedTool);
+  if (found) {
+    const { entry, match } = found;
+    return {
+      tool: entry.tool,
+      name: entry.name,
+      canonical: entry.format.replace(/\{(\d+)\}/g, (_, i) => match[i] || ""),
+      error: null,
+    };
+  }
+
+  if (!/\d/.test(text)) {
+    result.error = notAToolVersionError(text);
+  }
+  return result;
+}
+
+/**
+ * Rewrites the "OS Version" and "Compatibility Tool Version" values in a report
+ * document to their canonical form.
+ * @param {object} doc - The report document (modified in place).
+ * @returns {{field: string, from: string, to: string}[]} The changes made.
+ */
+export function normaliseVersionFields(doc) {
+  const changes = [];
+  const toolSection = findSection(doc, "Steam Play Compatibility Tool Used");
+  const selectedTool = toolSection ? getSectionText(toolSection) : null;
+
+  const fields = [
+    ["OS Version", (value) => parseOsVersion(value)],
+    [
+      "Compatibility Tool Version",
+      (value) => parseCompatibilityToolVersion(value, selectedTool),
+    ],
+  ];
+  for (const [field, parse] of fields) {
+    const section = findSection(doc, field);
+    if (!section) continue;
+
+    const value = getSectionText(section);
+    const { canonical } = parse(value);
+    if (!canonical || canonical === value) continue;
+
+    setSectionContent(doc, section.heading, canonical);
+    changes.push({ field, from: value, to: canonical });
+  }
+  return changes;
+}
+
+/**
+ * Checks the "OS Version" and "Compatibility Tool Version" values of a report.
+ * @param {object} reportData - The report data from buildReportData().
+ * @param {string} [language] - The language of the messages.
+ * @returns {{errors: string[], warnings: string[]}} Values that are not versions are
+ *   errors. A version that belongs to a different compatibility tool is a warning.
+ */
+export function validateVersionFields(reportData, language = DEFAULT_LANGUAGE) {
+  const errors = [];
+  const warnings = [];
+
+  const osVersion = reportData["OS Version"];
+  if (typeof osVersion === "string") {
+    const { error } = parseOsVersion(osVersion);
+    if (error) {
+      errors.push(
+        `OS Version: ${formatMessage(language, error.key, error.values)}`
+      );
+    }
+  }
+
+  const toolVersion = reportData["Compatibility Tool Version"];
+  const selectedTool = reportData["Steam Play Compatibility Tool Used"];
+  if (typeof toolVersion === "string") {
+    const { tool, error } = parseCompatibilityToolVersion(
+      toolVersion,
+      selectedTool
+    );
+    if (error) {
+      errors.push(
+        `Compatibility Tool Version: ${formatMessage(
+          language,
+          error.key,
+          error.values
+        )}`
+      );
+    } else if (tool && selectedTool && tool !== selectedTool) {
+      warnings.push(
+        `Compatibility Tool Version: ${formatMessage(
+          language,
+          "checks.versions.otherTool",
+          { value: toolVersion, tool, selectedTool }
+        )}`
+      );
+    }
+  }
+
+  return { errors, warnings };
+}